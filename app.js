@@ -1,17 +1,36 @@
-import { Sim, policies, vantageForFrontier, bfsDist } from './simlib.js';
+import { Sim, POLICIES, SCORE_TERMS, policies, policyParams, teamPolicies, fusionScanS, estimateContext, rankPlans, planCost } from './simlib.js';
+import { loadFusionData } from './fusion_data.js';
+import { ScanPredictor, rankPredicted } from './predictor.js';
+import { Recorder, Replay, encodeJSON, decodeJSON, encodeBinary, decodeBinary } from './replay.js';
+import { Dashboard } from './dashboard.js';
+import { scenarioFromSim } from './scenario.js';
+import { ScenarioEditor } from './editor.js';
 // auto-load fusion data
 
 import { ThreeScene } from './three_scene.js';
-import * as THREE from 'three';
-let scored, goodList;
-
-;(async function loadFusionData(){
-  [scored, goodList] = await Promise.all([
-    fetch('scored.json').then(r=>r.json()),
-    fetch('good_rewrites.json').then(r=>r.json())
-  ]);
-  fusion.best_ms = Math.min(...scored.map(r=>r.pred_ms));
-  fusion.good    = goodList;
+
+;(async function initFusionData(){
+  const readJSON = async (name) => {
+    const r = await fetch(name);
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+    return r.json();
+  };
+  try {
+    const data = await loadFusionData(readJSON);
+    fusion.best_ms    = data.bestMs;
+    fusion.candidates = data.candidates;
+    if (data.warnings.length) showDataNotice(`Fusion data loaded with ${data.warnings.length} warning(s):\n${data.warnings.join('\n')}`);
+  } catch (e) {
+    // fusion falls back to the scalar scan-time heuristic
+    console.error('[fusion data]', e);
+    showDataError(`Fusion data unavailable — using the heuristic scan.\n${e.message}`);
+  }
+  try {
+    fusion.predictor = new ScanPredictor(await readJSON('scan_predictor.json'));
+  } catch (e) {
+    // composites are ranked by their scored pred_ms instead
+    console.warn('[scan predictor]', e.message);
+  }
   buildBoth();   // only now initialize sim/scene
 })();
 
@@ -27,8 +46,21 @@ const povB    = $('robotViewB');
 const runBtn   = $('runBtn');
 const pauseBtn = $('pauseBtn');
 const resetBtn = $('resetBtn');
+const stepBtn  = $('stepBtn');
+const ffBtn    = $('ffBtn');
+const speedEl  = $('speed');
+const speedVal = $('speedVal');
 
 const sizeEl = $('size');
+const layoutEl = $('layout');
+const nRobotsEl = $('nRobots');
+const dynamicEl = $('dynamicWorld');
+const victimsEl = $('victims');
+const endOnEl = $('endOn');
+const teamEl = $('teamPolicy');
+// Per-panel policy pickers (left = A, right = B) and their parameter inputs
+const panelEls = [{ policy: $('policyA'), params: $('paramsA') }, { policy: $('policyB'), params: $('paramsB') }];
+const PANEL_DEFAULTS = ['nf', 'fusion'];
 // missing DOM refs
 
 const FIXED = {
@@ -37,20 +69,43 @@ const FIXED = {
     robotSpeed: 0.1,
     infoRadius: 4,
     target: 0.95,
-    obstacleProb: 0.12
+    obstacleProb: 0.12,
+    fires: 2,
+    gasSources: 1,
+    heatSources: 1,
+    // line-of-sight sensor; the LiDAR pulse in the scene uses the same cone
+    sensorRange: 4,
+    sensorFov: Math.PI / 2,
+    // probabilistic occupancy grid with mildly noisy readings
+    occupancy: true,
+    falsePos: 0.03,
+    falseNeg: 0.02,
+    // battery per robot (J); at robotSpeed 0.1 a cell costs ~220 J of driving
+    batteryJ: 60000,
+    victims: 3,
+    // "Dynamic world" (world.js); rates per 2 s tick, scaled for the slow robot
+    world: {
+      fireSpread: 0.004, fireBurnout: 0.006, doorClose: 0.001, doorOpen: 0.01,
+      movers: 2, debrisRate: 0.0005, transientAfter: 300
+    }
 };
     
 const useFusionEl = $('useFusion');
+const useLLMEl = $('useLLM');
 const covVal = $('covVal');
 const timeVal = $('timeVal');
 const distVal = $('distVal');
 const stepsVal = $('stepsVal');
+const teamVal = $('teamVal');
+const energyVal = $('energyVal');
+const worldVal = $('worldVal');
+const victimVal = $('victimVal');
 
 
 
 // 3D scenes
-const sceneA = new ThreeScene(canvasA, null);   // Baseline
-const sceneB = new ThreeScene(canvasB, null);   // Fusion
+const sceneA = new ThreeScene(canvasA, povA);   // Baseline
+const sceneB = new ThreeScene(canvasB, povB);   // Fusion
 
 // State
 let simB = null;         // baseline
@@ -58,15 +113,50 @@ let simF = null;         // fusion
 let running = false;
 let lastTick = 0;
 let accum = 0;
-const STEP_HZ = 3;            // slow, readable sim rate
+const STEP_HZ = 3;            // slow, readable sim rate at 1×
 const STEP_DT = 1 / STEP_HZ;
+const MAX_STEPS_PER_FRAME = 16;   // at high speed a slow frame drops steps instead of piling them up
+const FF_SLICE_MS = 30;           // fast-forward works in slices this long so the page stays responsive
+let speed = 1;                // speed slider: steps run at speed × STEP_HZ
+let playOut = 0;              // wall s of effects still to play while paused (single step)
+let ff = null;                // fast-forward in progress: { timer }
+// Every stepOnce is recorded; while `replay` is set the scenes show the
+// recording instead of the live sims.
+const recorder = new Recorder({ stepHz: STEP_HZ, labels: panelLabels() });
+let replay = null;
+let replayImported = false;   // imported recordings show a different world than the live sims
+const dashboard = new Dashboard({
+  covTime: $('chartCovTime'), covDist: $('chartCovDist'), scanHist: $('chartScanHist'), summary: $('summaryTable')
+}, recorder.meta.labels);
+
+// Scenario JSON from the editor; null = generated layout
+let scenario = null;
 
-let fusion = { best_ms: null, good: null };
+// predictor: ScanPredictor or null; it times the scored composites (the only
+// plans it was trained on) for the robot's context
+let fusion = { best_ms: null, candidates: null, predictor: null };
+// Baseline scans with the LiDAR alone through the same plan executor
+const BASELINE_PLAN = [['lidar_scan']];
 let llmCache = new Map(); // (ctxSig, ids[]) -> new order
+// LLM rerank: asked every LLM_EVERY steps in the background; the loop keeps
+// stepping with the local ranking until (and unless) an answer arrives.
+const LLM_URL = 'http://localhost:8000/api/rerank';
+const LLM_EVERY = 10;          // steps between requests
+const LLM_TIMEOUT_MS = 4000;   // abort → local ranking
+const LLM_TOPK = 5;
+let llm = { pending: false, askedAt: -Infinity, choice: null }; // choice: scored.json index
 
 
 // always render so you can move the camera even when paused
-function draw() {
+let lastDraw = 0;
+function draw(ts) {
+  const dt = Math.min(0.25, Math.max(0, (ts - lastDraw) / 1000));
+  lastDraw = ts;
+  // sensor effects run on sim time: one step interval of wall time plays one
+  // step's scan; paused, only a single step's play-out runs
+  const play = running ? dt : Math.min(dt, playOut);
+  playOut = running ? 0 : playOut - play;
+  for (const sc of [sceneA, sceneB]) sc.advanceClock(play * speed * sc.lastScanS / STEP_DT);
   sceneA.tick(); sceneB.tick();
   sceneA.render(true); sceneB.render(true);
   requestAnimationFrame(draw);
@@ -74,191 +164,542 @@ function draw() {
 requestAnimationFrame(draw);
 
 function buildBoth() {
+    stopFastForward();
+    llm.askedAt = -Infinity; llm.choice = null;   // a late answer for the old sim is dropped in requestRerank
     const cfg = {
     size: parseInt(sizeEl.value, 10),
     obstacleProb: FIXED.obstacleProb,
-    nRobots: FIXED.nRobots,
+    nRobots: Math.max(1, Math.min(6, parseInt(nRobotsEl?.value, 10) || FIXED.nRobots)),
     robotSpeed: FIXED.robotSpeed,
     infoRadius: FIXED.infoRadius,
     target: FIXED.target,
     seed: 0,
-    simpleRoom: true
+    layout: layoutEl?.value || 'simple',
+    fires: FIXED.fires,
+    gasSources: FIXED.gasSources,
+    heatSources: FIXED.heatSources,
+    sensorRange: FIXED.sensorRange,
+    sensorFov: FIXED.sensorFov,
+    occupancy: FIXED.occupancy,
+    falsePos: FIXED.falsePos,
+    falseNeg: FIXED.falseNeg,
+    batteryJ: FIXED.batteryJ,
+    victims: Math.max(0, Math.min(10, parseInt(victimsEl?.value ?? FIXED.victims, 10) || 0)),
+    endOn: endOnEl?.value || 'coverage',
+    ...(dynamicEl?.checked ? FIXED.world : {})
     };
-    simB = new Sim(cfg);           // Baseline (NF)
-    simF = simB.cloneForAB(1);     // Fusion (different seed to avoid lockstep ties)
+    if (scenario) cfg.scenario = scenario;
+    simB = new Sim(cfg);           // left panel
+    simF = simB.cloneForAB(1);     // right panel (different seed to avoid lockstep ties)
+    sizeEl.value = simB.cfg.size;
     // Build scenes using the same GT
-    sceneA.buildObstaclesFromGrid(simB.gt, { simpleRoom: simB.cfg.simpleRoom });
-    sceneB.buildObstaclesFromGrid(simF.gt, { simpleRoom: simF.cfg.simpleRoom });
-    sceneA.setRobotGridPose(simB.robots[0][0], simB.robots[0][1], 0);
-    sceneB.setRobotGridPose(simF.robots[0][0], simF.robots[0][1], 0);
+    sceneA.buildObstaclesFromGrid(simB.gt, { hazards: simB.hazards, layout: simB.layout, world: simB.world });
+    sceneB.buildObstaclesFromGrid(simF.gt, { hazards: simF.hazards, layout: simF.layout, world: simF.world });
+    sceneA.syncVictims(simB.victims); sceneB.syncVictims(simF.victims);
+    sceneA.setRobotGridPoses(simB.robots, simB.headings.map(sceneHeading));
+    sceneB.setRobotGridPoses(simF.robots, simF.headings.map(sceneHeading));
     if (sceneA.updateCoverageFromSim) sceneA.updateCoverageFromSim(simB);
     if (sceneB.updateCoverageFromSim) sceneB.updateCoverageFromSim(simF);
+    sceneA.setOverlays(simOverlays(simB)); sceneB.setOverlays(simOverlays(simF));
+    recorder.meta.labels = panelLabels();
+    recorder.meta.policies = panelEls.map((_, k) => ({ name: panelPolicyName(k), params: panelParams(k) }));
+    recorder.start([simB, simF]);
+    dashboard.setLabels(recorder.meta.labels);
+    dashboard.reset([simB.victims.length, simF.victims.length]);
+    replay = null; replayImported = false;
+    scoreOverlaysAvailable(true);
+    updateTimeline();
     updateMetrics(0);
 }
     
 resetBtn.addEventListener('click', () => buildBoth());
 
-function updateFusionExplain(ctx5, scanS, order) {
+// ---- Scenario editor ----
+const editor = new ScenarioEditor({
+  canvas: $('edCanvas'), palette: $('edPalette'), name: $('edName'), size: $('edSize'), newBtn: $('edNew'),
+  load: $('edLoad'), save: $('edSave'), apply: $('edApply'), clear: $('edClear'), status: $('edStatus')
+}, {
+  onApply: (sc) => useScenario(sc),
+  onClear: () => useScenario(null)
+});
+$('edFromSim')?.addEventListener('click', () => { if (simB) editor.load(scenarioFromSim(simB, 'From demo')); });
+
+function useScenario(sc) {
+  scenario = sc;
+  const label = $('scenarioActive');
+  if (label) label.textContent = sc ? `demo: ${sc.name}` : 'demo: generated layout';
+  buildBoth();
+}
+nRobotsEl?.addEventListener('change', () => buildBoth());
+layoutEl?.addEventListener('change', () => buildBoth());
+dynamicEl?.addEventListener('change', () => buildBoth());
+victimsEl?.addEventListener('change', () => buildBoth());
+endOnEl?.addEventListener('change', () => buildBoth());
+
+// ---- Policy pickers ----
+// Every registered policy (simlib.js POLICIES) can run in either panel; its
+// parameters are edited as number inputs (blank = the policy's default).
+// Changing either restarts both panels so the comparison stays paired.
+function panelPolicyName(k) {
+  const name = panelEls[k].policy?.value;
+  return POLICIES[name] ? name : PANEL_DEFAULTS[k];
+}
+function panelLabels() {
+  return panelEls.map((_, k) => POLICIES[panelPolicyName(k)].label);
+}
+function renderPolicyParams(k) {
+  const box = panelEls[k].params;
+  if (!box) return;
+  const name = panelPolicyName(k), def = POLICIES[name], defaults = policyParams(name);
+  // frontier policies: { term: { key } } → "term.key"; pick policies: flat
+  const fields = def.pick
+    ? Object.entries(defaults).map(([key, v]) => [key, key, v])
+    : Object.entries(defaults).flatMap(([term, p]) => Object.entries(p)
+        .filter(([key]) => !(term === 'scanHint' && key === 'bestMs'))   // comes from the fusion data
+        .map(([key, v]) => [`${term}.${key}`, `${SCORE_TERMS[term].label}: ${key}`, v]));
+  box.innerHTML = '';
+  for (const [path, label, v] of fields) {
+    const el = document.createElement('label');
+    el.className = 'flex items-center gap-1';
+    el.innerHTML = `<span>${label}</span><input type="number" step="any" class="w-16 bg-slate-100 rounded px-1 border border-gray-200">`;
+    const input = el.querySelector('input');
+    input.dataset.path = path;
+    input.placeholder = v == null ? 'auto' : String(v);
+    box.appendChild(el);
+  }
+}
+// Params from the inputs, in the shape policies[name](sim, params) takes.
+function panelParams(k) {
+  const out = {};
+  for (const input of panelEls[k].params?.querySelectorAll('input') ?? []) {
+    if (input.value === '' || !Number.isFinite(+input.value)) continue;
+    const [a, b] = input.dataset.path.split('.');
+    if (b) (out[a] ??= {})[b] = +input.value; else out[a] = +input.value;
+  }
+  return out;
+}
+panelEls.forEach(({ policy, params }, k) => {
+  if (!policy) return;
+  for (const [name, def] of Object.entries(POLICIES)) policy.add(new Option(def.label, name, false, name === PANEL_DEFAULTS[k]));
+  renderPolicyParams(k);
+  policy.addEventListener('change', () => { renderPolicyParams(k); buildBoth(); });
+  params?.addEventListener('change', () => buildBoth());
+});
+
+// Overlay toggles apply to both scenes
+for (const [name, id] of [['trail', 'ovTrail'], ['goal', 'ovGoal'], ['path', 'ovPath'], ['clusters', 'ovClusters'], ['heatmap', 'ovHeatmap']]) {
+  const el = $(id);
+  if (!el) continue;
+  const apply = () => [sceneA, sceneB].forEach(scene => scene.setOverlayVisible(name, el.checked));
+  el.addEventListener('change', apply);
+  apply();
+}
+
+// Clusters and scores are not recorded: in a replay their toggles are off.
+function scoreOverlaysAvailable(on) {
+  for (const id of ['ovClusters', 'ovHeatmap']) {
+    const el = $(id);
+    if (!el) continue;
+    el.disabled = !on;
+    el.parentElement.classList.toggle('opacity-50', !on);
+  }
+}
+
+// heading basis: forward = (sin θ, 0, -cos θ); the sim heading is (cos, sin) = (dx, dy)
+function showDataError(msg) {
+    const box = $('dataError');
+    if (!box) return;
+    box.textContent = msg;
+    box.classList.remove('hidden');
+}
+
+// Non-fatal: the data loaded but something in it is off.
+function showDataNotice(msg) {
+    const box = $('dataNotice');
+    if (!box) return;
+    box.textContent = msg;
+    box.classList.remove('hidden');
+}
+
+function sceneHeading(th) { return Math.atan2(Math.cos(th), -Math.sin(th)); }
+
+function updateFusionExplain(ctx5, scan, order, source = 'local', prediction = null) {
     const box = document.getElementById('fusionExplain');
     if (!box) return;
     const [size, clutter, heat, gas, noise] = ctx5;
-    const estScanMs = Math.round((scanS || 0) * 1000);
+    const estScanMs = Math.round(scan?.ms || 0);
     const choice = order && order[0] !== undefined ? order[0] : null;
+    const plan = scan?.plan ? scan.plan.map(g => g.join(' + ')).join(', ') : 'scalar scan';
     box.textContent =
-    `Fusion: clutter=${clutter.toFixed(2)}, scan≈${estScanMs}ms` +
-    (choice !== null ? `, selected composite #${choice}` : '');
+    `Fusion: area=${size.toFixed(1)}m², clutter=${clutter.toFixed(2)}, heat=${heat.toFixed(2)}, gas=${gas.toFixed(2)}, noise=${noise.toFixed(2)}` +
+    ` → plan=${plan}, scan≈${estScanMs}ms, ${(scan?.energyJ || 0).toFixed(1)} J` +
+    (prediction ? `, predicted ${Math.round(prediction.ms)}ms (95%: ${Math.round(prediction.lo)}–${Math.round(prediction.hi)}), confidence ${prediction.confidence.toFixed(2)}` : '') +
+    (choice !== null ? `, selected composite #${choice} (${source})` : '');
 }
     
-runBtn.addEventListener('click', () => { running = true; lastTick = performance.now(); requestAnimationFrame(loop); });
-pauseBtn.addEventListener('click', () => { running = false; });
+runBtn.addEventListener('click', () => { stopFastForward(); if (replay) exitReplay(); start(); });
+pauseBtn.addEventListener('click', () => { stopFastForward(); running = false; if (!replay) dashboard.renderSummary(); });
+stepBtn?.addEventListener('click', () => {
+  stopFastForward();
+  running = false;
+  if (replay) replayStep();
+  else stepOnce();
+  playOut = STEP_DT / speed;
+});
+ffBtn?.addEventListener('click', () => { if (replay) exitReplay(); fastForward(); });
+speedEl?.addEventListener('input', () => setSpeed(2 ** +speedEl.value));
+
+// Steps per second and how smoothly the scenes follow: pose smoothing shrinks
+// with the step interval but keeps a couple of frames, so fast runs glide.
+function setSpeed(s) {
+  speed = s;
+  if (speedVal) speedVal.textContent = `${s}×`;
+  for (const sc of [sceneA, sceneB]) sc.motionSlowdown = Math.max(0.3, 1 / s);
+}
+setSpeed(2 ** +(speedEl?.value ?? 0));
+
+// Run both sims to their end without drawing each step, in slices so the
+// page stays live; then the scenes jump to where the sims are.
+function fastForward() {
+  if (ff) return;
+  running = false;
+  if (!simB || !simF) buildBoth();
+  if (runOver()) return;   // nothing left to run
+  ff = { timer: 0 };
+  if (ffBtn) ffBtn.disabled = true;
+  const slice = () => {
+    const t0 = performance.now();
+    let over = false;
+    while (!over && performance.now() - t0 < FF_SLICE_MS) over = stepOnce(false);
+    if (over) stopFastForward();
+    else {
+      if (stepsVal) stepsVal.textContent = `${Math.max(simB.step, simF.step)} ⏩`;
+      ff.timer = setTimeout(slice, 0);
+    }
+  };
+  ff.timer = setTimeout(slice, 0);
+}
+
+// End a fast-forward (finished or interrupted) and show the sims' state.
+function stopFastForward() {
+  if (!ff) return;
+  clearTimeout(ff.timer);
+  ff = null;
+  if (ffBtn) ffBtn.disabled = false;
+  [[sceneA, simB], [sceneB, simF]].forEach(([scene, sim]) => {
+    scene.clearEffects();
+    scene.setRobotGridPoses(sim.robots, sim.headings.map(sceneHeading));
+    scene.snapPoses();
+    scene.updateCoverageFromSim(sim);
+    scene.syncWorld(sim.world);
+    scene.syncVictims(sim.victims, sim.victimStats().foundIds);
+    scene.setOverlays(simOverlays(sim));
+  });
+  dashboard.refresh();
+  updateTimeline();
+  updateMetrics(Math.max(simB.step, simF.step));
+}
 
 function loop(ts) {
   if (!running) return;
   const dt = (ts - lastTick) / 1000;
   lastTick = ts;
 
-  accum += dt;
-  while (accum >= STEP_DT) {
-    stepOnce();            // advance the sim at 1 Hz
+  accum = Math.min(accum + dt * speed, MAX_STEPS_PER_FRAME * STEP_DT);
+  while (accum >= STEP_DT && running) {
+    if (replay) replayStep();
+    else stepOnce();       // advance the sim at speed × STEP_HZ
     accum -= STEP_DT;
   }
   requestAnimationFrame(loop);
 }
 
+function start() {
+  if (running) return;
+  running = true; lastTick = performance.now(); accum = 0;
+  requestAnimationFrame(loop);
+}
+
+// ---- Replay timeline ----
+const tl = {
+  play: $('tlPlay'), step: $('tlStep'), scrub: $('tlScrub'), label: $('tlLabel'), live: $('tlLive'),
+  saveJson: $('tlSaveJson'), saveBin: $('tlSaveBin'), load: $('tlLoad')
+};
+
+function enterReplay(rec, imported = false) {
+  stopFastForward();
+  running = false;
+  replay = new Replay(rec);
+  replayImported = imported;
+  scoreOverlaysAvailable(false);
+  // recordings keep the start layout only: hide the live world's fires, doors and people
+  [sceneA, sceneB].forEach(scene => scene.syncWorld(null));
+  if (imported) {
+    [sceneA, sceneB].forEach((scene, k) => {
+      const v = replay.views[k];
+      if (v) scene.buildObstaclesFromGrid(v.gt, { hazards: v.hazards, layout: v.layout });
+    });
+  }
+  [sceneA, sceneB].forEach((scene, k) => scene.syncVictims(replay.views[k]?.victims ?? null));
+}
+
+function exitReplay() {
+  running = false;
+  const rebuild = replayImported;
+  replay = null; replayImported = false;
+  scoreOverlaysAvailable(true);
+  if (rebuild) { buildBoth(); return; }   // the live sims never ran in the imported world
+  [[sceneA, simB], [sceneB, simF]].forEach(([scene, sim]) => {
+    scene.setRobotGridPoses(sim.robots, sim.headings.map(sceneHeading));
+    scene.updateCoverageFromSim(sim);
+    scene.syncWorld(sim.world);
+    scene.syncVictims(sim.victims, sim.victimStats().foundIds);
+    scene.setOverlays(simOverlays(sim));
+  });
+  updateMetrics(Math.max(simB.step, simF.step));
+  updateTimeline();
+}
+
+// Review the live recording from its start unless a replay is already open.
+function ensureReplay() {
+  if (replay) return true;
+  if (!recorder.length) return false;
+  enterReplay(recorder.toJSON());
+  return true;
+}
+
+function showReplayFrame(f) {
+  replay.seek(f);
+  [sceneA, sceneB].forEach((scene, k) => {
+    const v = replay.views[k];
+    if (!v) return;
+    scene.clearEffects();
+    scene.setRobotGridPoses(v.robots, v.headings.map(sceneHeading));
+    scene.updateCoverageFromSim(v);
+    scene.syncVictims(v.victims, v.found);
+    scene.setOverlays({ trails: v.trails, goals: v.goals });   // paths and scores are not recorded
+  });
+  const [vb, vf] = replay.views, pair = (fn) => `B ${fn(vb)} | F ${vf ? fn(vf) : '-'}`;
+  covVal.textContent  = pair(v => `${(v.coverage()*100).toFixed(1)}%`);
+  timeVal.textContent = pair(v => `${v.time.toFixed(1)}s`);
+  distVal.textContent = pair(v => (v.frame?.dist ?? 0).toFixed(0));
+  stepsVal.textContent = `${Math.max(vb.step, vf?.step ?? 0)}`;
+  if (energyVal) energyVal.textContent = pair(v => `${((v.frame?.energy ?? 0)/1000).toFixed(1)} kJ`);
+  if (teamVal) teamVal.textContent = '-';
+  if (worldVal) worldVal.textContent = '-';
+  if (victimVal) victimVal.textContent = vb.victims.length ? pair(v => `${v.found.length}/${v.victims.length}`) : '-';
+  const box = $('fusionExplain');
+  if (box && vf?.frame) box.textContent = `Replay: plan=${vf.frame.plan ?? 'scalar scan'}, scan≈${Math.round(vf.frame.scanMs)}ms`;
+  updateTimeline();
+}
+
+function replayStep() {
+  if (replay.done) { running = false; return; }
+  showReplayFrame(replay.frame + 1);
+  [sceneA, sceneB].forEach((scene, k) => {
+    const v = replay.views[k];
+    if (!v?.frame) return;
+    const plan = v.frame.plan?.split(',').map(g => g.split('+')) ?? null;
+    scene.playScan(scanGroups(plan, v.frame.scanMs), { heading: sceneHeading(v.headings[0]), fov: v.cfg.sensorFov, range: v.cfg.sensorRange });
+  });
+}
+
+function updateTimeline() {
+  if (!tl.scrub) return;
+  const n = replay ? replay.length : recorder.length;
+  tl.scrub.max = String(n - 1);
+  tl.scrub.value = String(replay ? replay.frame : n - 1);
+  tl.label.textContent = replay ? `replay ${replay.frame + 1}/${n}` : `live · ${n} frames`;
+}
+
+function download(name, data, type) {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const a = document.createElement('a');
+  a.href = url; a.download = name; a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+tl.play?.addEventListener('click', () => {
+  if (!ensureReplay()) return;
+  if (replay.done) showReplayFrame(-1);
+  start();
+});
+tl.step?.addEventListener('click', () => {
+  if (!ensureReplay()) return;
+  running = false;
+  replayStep();
+  playOut = STEP_DT / speed;
+});
+tl.scrub?.addEventListener('input', () => {
+  if (!ensureReplay()) return;
+  running = false;
+  showReplayFrame(+tl.scrub.value);
+});
+tl.live?.addEventListener('click', () => { if (replay) exitReplay(); });
+$('dashPng')?.addEventListener('click', () => {
+  const png = dashboard.toPNG();
+  if (png) { const a = document.createElement('a'); a.href = png; a.download = 'dashboard.png'; a.click(); }
+});
+$('dashCsv')?.addEventListener('click', () => download('dashboard.csv', dashboard.toCSV(), 'text/csv'));
+tl.saveJson?.addEventListener('click', () => download('replay.json', encodeJSON(recorder), 'application/json'));
+tl.saveBin?.addEventListener('click', () => download('replay.bin', encodeBinary(recorder), 'application/octet-stream'));
+tl.load?.addEventListener('change', async () => {
+  const file = tl.load.files[0];
+  tl.load.value = '';
+  if (!file) return;
+  try {
+    const rec = file.name.endsWith('.json') ? decodeJSON(await file.text()) : decodeBinary(await file.arrayBuffer());
+    enterReplay(rec, true);
+    showReplayFrame(-1);
+  } catch (e) {
+    console.error('[replay]', e);
+    showDataError(`Could not import ${file.name}: ${e.message}`);
+  }
+});
+
 
 function ctxSig(size, clutter, heat, gas, noise) {
-  return `${Math.round(size)},${clutter.toFixed(2)},${heat|0},${gas|0},${noise|0}`;
+  return `${Math.round(size)},${clutter.toFixed(2)},${heat.toFixed(1)},${gas.toFixed(1)},${noise.toFixed(2)}`;
 }
     
-async function maybeLLMRerank(ctx5, topK) {
-  const url = 'http://localhost:8000/api/rerank';
-  if (!url || !fusion.good) return null;
-  // Minimal candidate set: ids 0..topK-1 by predicted ms (we don’t have per-composite y_ms in browser; use ranks from scored.json if supplied).
-  // Fallback: just 0..(K-1).
-  const pool = Array.from({length: topK}, (_,i)=>i);
-  const key = ctxSig(...ctx5) + '|' + pool.join(',');
+// POST the context and the top-K local candidates; resolves to an ordering of
+// scored.json indices, or null on error / timeout / empty answer.
+async function maybeLLMRerank(ctx5, ranked) {
+  if (!LLM_URL || !ranked.length) return null;
+  const pool = ranked.map(r => r.candidate);
+  const key = ctxSig(...ctx5) + '|' + pool.map(c => c.index).join(',');
   if (llmCache.has(key)) return llmCache.get(key);
 
+  const ctl = new AbortController();
+  const timer = setTimeout(() => ctl.abort(), LLM_TIMEOUT_MS);
   try{
     const payload = {
-      ctx: { size: ctx5[0], clutter: ctx5[1], heat: !!ctx5[2], gas: !!ctx5[3], noise: !!ctx5[4] },
-      candidates: pool.map(i => ({
-        index: i,
-        pred_ms: fusion.best_ms ?? 1000,
-        // send compact signature if good.json present
-        steps: fusion.good ? fusion.good[i]?.parsed_plan : null
-      }))
+      ctx: { size: ctx5[0], clutter: ctx5[1], heat: ctx5[2], gas: ctx5[3], noise: ctx5[4] },
+      candidates: pool.map(c => ({ index: c.index, pred_ms: c.pred_ms, steps: c.plan }))
     };
-    const resp = await fetch(url, { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify(payload) });
+    const resp = await fetch(LLM_URL, { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify(payload), signal: ctl.signal });
     if (!resp.ok) throw new Error(await resp.text());
-    const order = await resp.json(); // [ids...]
-    if (Array.isArray(order) && order.every(n=>Number.isInteger(n))) {
+    const order = await resp.json(); // [ids...]; [] when the model failed
+    const known = new Set(pool.map(c => c.index));
+    if (Array.isArray(order) && order.length && order.every(n=>known.has(n))) {
       llmCache.set(key, order);
       return order;
     }
-  }catch(e){ console.warn('[LLM] rerank failed', e); }
+  }catch(e){ console.warn('[LLM] rerank failed', e.name === 'AbortError' ? 'timeout' : e); }
+  finally { clearTimeout(timer); }
   return null;
 }
 
-function stepOnce() {
-  const pol = policies.nf;       // always Nearest Frontier
-  const polB = pol, polF = pol;
+// Fire-and-forget: the next steps pick up llm.choice once it resolves.
+function requestRerank(simObj, ctx5, ranked) {
+  if (llm.pending || simObj.step - llm.askedAt < LLM_EVERY) return;
+  llm.pending = true; llm.askedAt = simObj.step;
+  maybeLLMRerank(ctx5, ranked.slice(0, LLM_TOPK))
+    .then(order => { if (simObj === simF) llm.choice = order ? order[0] : null; })
+    .finally(() => { llm.pending = false; });
+}
+
+// Panel k's goal picker (a team coordination policy overrides both) and
+// whether it scans with the fusion composites.
+function panelPolicy(k) {
+  const name = panelPolicyName(k), def = POLICIES[name], params = panelParams(k);
+  const fusionOn = useFusionEl.checked && def.scan === 'fusion';
+  if (!def.pick) params.scanHint = { bestMs: fusion.best_ms, ...params.scanHint };
+  else if (fusionOn && def.params && 'scanMs' in def.params) params.scanMs ??= fusion.best_ms;
+  const team = teamPolicies[teamEl?.value];
+  return { pick: team || ((sim) => policies[name](sim, params)), fusionOn };
+}
+
+// Both panels done, or both out of steps.
+function runOver() {
+  return (simB.done() && simF.done()) || (simB.step > simB.cfg.maxSteps && simF.step > simF.cfg.maxSteps);
+}
+
+// render=false (fast-forward) steps and records the sims without touching
+// the scenes, charts or metrics. Returns true once the run is over.
+function stepOnce(render = true) {
   if (!simB || !simF) buildBoth();
-  // baseline
-  runOne(simB, polB, { fusionOn: false, useLLM: false, scene: sceneA });
+  const [pa, pb] = [panelPolicy(0), panelPolicy(1)];
+  // left panel
+  const goalsB = runOne(simB, pa.pick, { fusionOn: pa.fusionOn, useLLM: false, scene: render ? sceneA : null });
 
-  if (sceneA.updateCoverageFromSim) sceneA.updateCoverageFromSim(simB);
-  // fusion
-  runOne(simF,
-    useFusionEl.checked ? pickFusionScanGuided : policies.nf,
-    { fusionOn: useFusionEl.checked, useLLM: false, scene: sceneB });
+  if (render) sceneA.updateCoverageFromSim(simB);
+  // right panel (the LLM rerank follows this one; not while fast-forwarding)
+  const goalsF = runOne(simF, pb.pick, { fusionOn: pb.fusionOn, useLLM: render && pb.fusionOn && !!useLLMEl?.checked, scene: render ? sceneB : null });
 
-  if (sceneB.updateCoverageFromSim) sceneB.updateCoverageFromSim(simF);
-  updateMetrics(Math.max(simB.step, simF.step));
-  if ((simB.coverage() >= simB.cfg.target && simF.coverage() >= simF.cfg.target) ||
-      (simB.step > simB.cfg.maxSteps && simF.step > simF.cfg.maxSteps)) running = false;
+  if (render) sceneB.updateCoverageFromSim(simF);
+  recorder.record([simB, simF], [{ goals: goalsB }, { goals: goalsF }]);
+  dashboard.push(recorder.panels.map(p => p.frames[p.frames.length - 1]), render);
+  if (render) {
+    updateTimeline();
+    updateMetrics(Math.max(simB.step, simF.step));
+  }
+  const over = runOver();
+  if (over) {
+    running = false;
+    dashboard.renderSummary();
+  }
+  return over;
+}
+
+// ThreeScene.setOverlays data for a live sim; goals (with the policy's
+// goals.scores) and the clusters they were scored on come from runOne.
+function simOverlays(sim, goals = [], clusters = null) {
+  return {
+    trails: sim.robots.map((_, i) => sim.trail(i)),
+    goals: sim.robots.map((_, i) => goals[i] ?? null),
+    paths: sim.robots.map((_, i) => sim.plannedPath(i)),
+    clusters, scores: goals.scores ?? []
+  };
 }
 
+// Returns the goals the policy picked (recorded for replay). scene null: sim only.
 function runOne(simObj, pol, { fusionOn, useLLM, scene }) {
     if (!simObj) { console.warn('runOne: simObj is null'); return; }
   if (typeof pol !== 'function') { console.warn('runOne: policy is not a function'); return; }
   const goals = pol(simObj);
+  const clusters = scene?.overlayOn.clusters ? simObj.frontierClusters() : null;   // the ones the policy scored
   for (let i = 0; i < simObj.robots.length; i++) {
     const g = goals[i] || simObj.robots[i];
-    const prev = [...simObj.robots[i]];
-    // Build 5D ctx (approximation)
-    const size_m2 = simObj.cfg.size;
-    const clutter = simObj.clutter();
-    const heat = 0.0, gas = 0.0, noise = 0.0;
-    const ctx5 = [size_m2, clutter, heat, gas, noise];
-
-    // Scan time
-    let scanS = 1.0;
-    if (fusionOn) {
-      if (fusion.best_ms != null) {
-        // Use model’s best as a *hint*, but keep within a fast, realistic band.
-        // Make it mildly depend on clutter so it adapts but stays <= baseline.
-        const hintS = (fusion.best_ms / 1000.0) * (0.6 + 0.4 * clutter);
-        scanS = Math.min(0.80, Math.max(0.15, hintS));
-      } else {
-        // Fallback heuristic: faster than baseline on average.
-        scanS = 0.25 + 0.50 * clutter;  // ∈ [0.25, 0.75]
-      }
-    }
+    // 5D ctx at this robot: explored m², local clutter, heat/gas exposure, sensor noise
+    const ctx = estimateContext(simObj, i);
+    const ctx5 = [ctx.size_m2, ctx.clutter, ctx.heat, ctx.gas, ctx.noise];
 
-    // Optional LLM every N steps
-    // Fusion cue & explanation only
-    if (fusionOn) {
-      playSensorCue(0, scene);
-      // removed the “predicted scan times” explanation
-    }
-            
-    simObj.moveAndScan(i, g, scanS);
-
-    // Update robot pose in 3D (first robot only for POV)
-    if (i === 0) {
-      const [nx, ny] = simObj.robots[0];
-      const dx = nx - prev[0], dy = ny - prev[1];
-      // heading basis: forward = (sin θ, 0, -cos θ)
-      const heading = (dx === 0 && dy === 0) ? scene.robot.rotation.y : Math.atan2(dx, -dy);
-      scene.setRobotGridPose(nx, ny, heading);
-      // LiDAR animation each decision
-      scene.playLidarPulse(0);
-    }
+    // Scan: the composite plan that best fits the context (fallback: scalar hint) vs. LiDAR-only baseline.
+    // With the predictor every scored composite is timed for this context; if none is
+    // confident and affordable the scored ranking stands in.
+    let ranked = fusionOn && fusion.predictor && fusion.candidates
+      ? rankPredicted(fusion.predictor, fusion.candidates, ctx, { budgetJ: simObj.battery[i], watts: simObj.cfg.sensorWatts }) : [];
+    if (fusionOn && !ranked.length && fusion.candidates) ranked = rankPlans(fusion.candidates, ctx, simObj.cfg.sensorWatts);
+    // Optional LLM every N steps; its pick overrides the local one while it is in the local top-K
+    let picked = ranked[0]?.candidate, source = 'local';
+    if (useLLM && i === 0) requestRerank(simObj, ctx5, ranked);
+    const llmPick = useLLM && ranked.slice(0, LLM_TOPK).find(r => r.candidate.index === llm.choice);
+    if (llmPick) { picked = llmPick.candidate; source = 'LLM'; }
+    const scan = fusionOn ? (picked?.plan ?? fusionScanS(fusion.best_ms, ctx.clutter)) : BASELINE_PLAN;
+
+    simObj.moveAndScan(i, g, scan);
+    if (fusionOn && i === 0 && scene) updateFusionExplain(ctx5, simObj.lastScan[0], picked ? [picked.index] : null, source, picked?.prediction);
   }
+  if (!scene) return goals;
+  // Update every robot in 3D; the first one owns the chase camera and POV
+  const headings = simObj.headings.map(sceneHeading);
+  scene.setRobotGridPoses(simObj.robots, headings);
+  scene.syncWorld(simObj.world);
+  scene.syncVictims(simObj.victims, simObj.victimStats().foundIds);
+  if (scene.overlaysWanted()) scene.setOverlays(simOverlays(simObj, goals, clusters));
+  // robot 0's scan as it ran, same cone and range as the sim sensor
+  const s0 = simObj.lastScan[0];
+  scene.playScan(scanGroups(s0?.plan, s0?.ms), { heading: headings[0], fov: simObj.cfg.sensorFov, range: simObj.cfg.sensorRange });
+  return goals;
+}
+
+// Executed plan (groups of action names, or null for a scalar scan) → timed
+// groups for ThreeScene.playScan; a scalar scan shows as a LiDAR sweep.
+function scanGroups(plan, ms = 0) {
+  return Array.isArray(plan) ? planCost(plan).groups : [{ actions: ['lidar_scan'], start: 0, ms }];
 }
 
-function playSensorCue(kind, scene) {
-    // 0 -> LiDAR pulse (already handled by scene.playLidarPulse),
-    // 1 -> thermal glow, 2 -> gas puff, 3 -> (reserved)
-    if (!scene) return;
-  
-    if (kind === 1) {
-      const s = new THREE.Mesh(
-        new THREE.SphereGeometry(0.6, 16, 16),
-        new THREE.MeshBasicMaterial({ color: 0xff7a00, transparent: true, opacity: 0.6 })
-      );
-      s.position.copy(scene.robot.position).add({ x: 0, y: 1.2, z: -1 });
-      scene.sensorLayer.add(s);
-      setTimeout(() => {
-        s.material.opacity = 0.0;
-        scene.sensorLayer.remove(s);
-        s.geometry.dispose(); s.material.dispose();
-      }, 450);
-    } else if (kind === 2) {
-      const g = new THREE.Mesh(
-        new THREE.SphereGeometry(1.1, 16, 16),
-        new THREE.MeshStandardMaterial({ color: 0x44ff88, transparent: true, opacity: 0.25, emissive: 0x115522 })
-      );
-      g.position.copy(scene.robot.position).add({ x: 0, y: 0.6, z: -0.8 });
-      scene.sensorLayer.add(g);
-      setTimeout(() => {
-        g.material.opacity = 0.0;
-        scene.sensorLayer.remove(g);
-        g.geometry.dispose(); g.material.dispose();
-      }, 650);
-    }
-  }
   
 function updateMetrics(step) {
     if (!simB || !simF) return;
@@ -266,28 +707,25 @@ function updateMetrics(step) {
     timeVal.textContent = `B ${simB.time.toFixed(1)}s | F ${simF.time.toFixed(1)}s`;
     distVal.textContent = `B ${simB.totalDistance().toFixed(0)} | F ${simF.totalDistance().toFixed(0)}`;
     stepsVal.textContent = `${step}`;
-}
-// New: pick frontiers by minimizing (travelDistance + scanTimeHint)
-function pickFusionScanGuided(sim) {
-    const clutter = sim.clutter();
-    // same hint logic you already have in runOne:
-    const hintS = (fusion.best_ms != null)
-    ? (fusion.best_ms / 1000) * (0.6 + 0.4 * clutter)
-    : (0.25 + 0.5 * clutter);
-    const fr = sim.frontiers();
-    return sim.robots.map(([rx, ry]) => {
-    let best = [rx, ry], bestCost = Infinity;
-    for (const [fx, fy] of fr) {
-      const v = vantageForFrontier(sim, rx, ry, fx, fy);
-      const d = bfsDist(sim, rx, ry, v[0], v[1]);
-      const cost = d + hintS;
-      if (cost < bestCost) {
-        bestCost = cost;
-        best = v;
-      }
+    if (energyVal) {
+      const fmt = (st) => `${(st.usedJ/1000).toFixed(1)} kJ, ${st.recharges} rch, ${st.charge.map(c => (c*100).toFixed(0)+'%').join('/')}`;
+      energyVal.textContent = `B ${fmt(simB.energyStats())} | F ${fmt(simF.energyStats())}`;
+    }
+    if (teamVal) {
+      const fmt = (st) => `${st.perRobotDist.join('/')} (overlap ${(st.overlapRatio*100).toFixed(0)}%)`;
+      teamVal.textContent = `B ${fmt(simB.teamStats())} | F ${fmt(simF.teamStats())}`;
+    }
+    if (worldVal) {
+      const fmt = (sim) => {
+        const replans = `${sim.replans.reduce((a, b) => a + b, 0)} replans`;
+        if (!sim.world) return replans;
+        const st = sim.world.stats();
+        return `${st.burning} burning, ${st.doorsClosed}/${st.doors} doors shut, ${st.debris} debris, ${replans}`;
+      };
+      worldVal.textContent = `B ${fmt(simB)} | F ${fmt(simF)}`;
+    }
+    if (victimVal) {
+      const fmt = (st) => st.total ? `${st.found}/${st.total}, first ${st.first == null ? '-' : st.first.toFixed(1) + 's'}` : '-';
+      victimVal.textContent = `B ${fmt(simB.victimStats())} | F ${fmt(simF.victimStats())}`;
     }
-    return best;
-  });
 }
-
-
@@ -0,0 +1,186 @@
+// dashboard.js (ESM) — live A/B charts for the demo, fed with the Recorder's
+// per-step frames. Uses the page's Chart.js global (no extra fetches).
+// Exports: Dashboard, MARKS, crossings, summarize.
+
+export const MARKS = [0.5, 0.8, 0.95];
+const COLORS = ['#6b7280', '#0d9488'];        // baseline gray, fusion teal
+const HIST_BIN_MS = 100;
+
+// First frame at which coverage reaches each mark: { 0.5: frame | null, ... }
+export function crossings(frames, marks = MARKS) {
+  const out = {};
+  for (const m of marks) out[m] = frames.find(f => f.coverage >= m) ?? null;
+  return out;
+}
+
+// Per-series summary row for the end-of-run table; `victims` is how many were
+// hidden in that series' sim.
+export function summarize(label, frames, victims = 0) {
+  const last = frames[frames.length - 1];
+  const cross = crossings(frames);
+  const scans = frames.map(f => f.scanMs);
+  const finds = frames.filter(f => f.found?.length);
+  return {
+    label,
+    steps: last ? last.step : 0,
+    time: last ? last.time : 0,
+    dist: last ? last.dist : 0,
+    energyKJ: last ? last.energy / 1000 : 0,
+    coverage: last ? last.coverage : 0,
+    meanScanMs: scans.length ? scans.reduce((a, b) => a + b, 0) / scans.length : 0,
+    victims,
+    found: finds.reduce((n, f) => n + f.found.length, 0),
+    tFirst: finds.length ? finds[0].time : null,
+    ...Object.fromEntries(MARKS.map(m => [`t${Math.round(m * 100)}`, cross[m]?.time ?? null]))
+  };
+}
+
+export class Dashboard {
+  // els: { covTime, covDist, scanHist: canvases, summary: table }
+  constructor(els, labels = ['Baseline', 'Fusion']) {
+    this.els = els;
+    this.labels = labels;
+    this.series = labels.map(() => []);
+    this.victims = labels.map(() => 0);
+    this._drawn = labels.map(() => 0);   // frames of each series already on the charts
+    this._crossed = labels.map(() => new Set());
+    this.Chart = globalThis.Chart;
+    if (!this.Chart) { console.warn('[dashboard] Chart.js not loaded; charts disabled'); return; }
+    this.covTime = this._lineChart(els.covTime, 'Sim time (s)');
+    this.covDist = this._lineChart(els.covDist, 'Distance (cells)');
+    this.scanHist = new this.Chart(els.scanHist, {
+      type: 'bar',
+      data: { labels: ['0'], datasets: labels.map((label, k) => ({ label, data: [0], backgroundColor: COLORS[k] + 'aa' })) },
+      options: {
+        animation: false, maintainAspectRatio: false,
+        scales: { x: { title: { display: true, text: `Scan time per step (ms, ${HIST_BIN_MS} ms bins)` } },
+                  y: { title: { display: true, text: 'Steps' }, beginAtZero: true } }
+      }
+    });
+  }
+  _lineChart(canvas, xTitle) {
+    // datasets: one line per series, then one marker set per series
+    const datasets = [
+      ...this.labels.map((label, k) => ({
+        label, data: [], borderColor: COLORS[k], backgroundColor: COLORS[k], pointRadius: 0, borderWidth: 2
+      })),
+      ...this.labels.map((label, k) => ({
+        label: `${label} 50/80/95%`, data: [], type: 'scatter', borderColor: COLORS[k], backgroundColor: COLORS[k],
+        pointStyle: 'triangle', pointRadius: 6
+      }))
+    ];
+    return new this.Chart(canvas, {
+      type: 'line',
+      data: { datasets },
+      options: {
+        animation: false, maintainAspectRatio: false, parsing: false,
+        scales: {
+          x: { type: 'linear', title: { display: true, text: xTitle } },
+          y: { min: 0, max: 100, title: { display: true, text: 'Coverage (%)' } }
+        },
+        plugins: {
+          tooltip: { callbacks: { label: (c) => `${c.dataset.label}: ${c.parsed.y.toFixed(1)}% @ ${c.parsed.x.toFixed(1)}` } }
+        }
+      }
+    });
+  }
+  // victims[k]: victims hidden in series k (for the found column)
+  reset(victims = []) {
+    this.series = this.labels.map(() => []);
+    this.victims = this.labels.map((_, k) => victims[k] ?? 0);
+    this._drawn = this.labels.map(() => 0);
+    this._crossed = this.labels.map(() => new Set());
+    if (this.els.summary) this.els.summary.innerHTML = '';
+    if (this.Chart) {
+      for (const chart of [this.covTime, this.covDist]) chart.data.datasets.forEach(d => { d.data = []; });
+      this.scanHist.data.labels = ['0'];
+      this.scanHist.data.datasets.forEach(d => { d.data = [0]; });
+    }
+    this.refresh();
+  }
+  // Series names (e.g. the policies the panels run); takes effect on the charts at once.
+  setLabels(labels) {
+    this.labels = labels.slice();
+    if (!this.Chart) return;
+    const n = this.labels.length;
+    for (const chart of [this.covTime, this.covDist]) this.labels.forEach((label, k) => {
+      chart.data.datasets[k].label = label;
+      chart.data.datasets[n + k].label = `${label} 50/80/95%`;
+    });
+    this.labels.forEach((label, k) => { this.scanHist.data.datasets[k].label = label; });
+    this.refresh();
+  }
+  // frames[k]: the Recorder frame just recorded for series k
+  // refresh=false only collects (fast-forward); call refresh() when done
+  push(frames, refresh = true) {
+    frames.forEach((f, k) => { if (f) this.series[k].push(f); });
+    if (refresh) this.refresh();
+  }
+  // Appends the frames pushed since the last refresh, so a long (fast-forwarded)
+  // run costs the same per step as a short one.
+  refresh() {
+    if (!this.Chart) return;
+    const n = this.labels.length, hist = this.scanHist.data;
+    const lines = [[this.covTime, 'time'], [this.covDist, 'dist']];
+    this.series.forEach((frames, k) => {
+      for (let j = this._drawn[k]; j < frames.length; j++) {
+        const f = frames[j];
+        for (const [chart, key] of lines) chart.data.datasets[k].data.push({ x: f[key], y: f.coverage * 100 });
+        for (const m of MARKS) {
+          if (f.coverage < m || this._crossed[k].has(m)) continue;
+          this._crossed[k].add(m);
+          for (const [chart, key] of lines) chart.data.datasets[n + k].data.push({ x: f[key], y: m * 100 });
+        }
+        // shared bins so the bars line up: a new top bin extends every series
+        const b = Math.floor(f.scanMs / HIST_BIN_MS);
+        while (hist.labels.length <= b) {
+          hist.labels.push(`${hist.labels.length * HIST_BIN_MS}`);
+          hist.datasets.forEach(d => d.data.push(0));
+        }
+        hist.datasets[k].data[b]++;
+      }
+      this._drawn[k] = frames.length;
+    });
+    for (const [chart] of lines) chart.update('none');
+    this.scanHist.update('none');
+  }
+  summary() { return this.series.map((frames, k) => summarize(this.labels[k], frames, this.victims[k])); }
+  renderSummary() {
+    const table = this.els.summary;
+    if (!table) return;
+    const rows = this.summary();
+    const fmt = (v, d = 1) => (v == null ? '—' : v.toFixed(d));
+    const cols = [
+      ['', r => r.label], ['Steps', r => r.steps], ['Time (s)', r => fmt(r.time)],
+      ['t50 (s)', r => fmt(r.t50)], ['t80 (s)', r => fmt(r.t80)], ['t95 (s)', r => fmt(r.t95)],
+      ['Distance', r => fmt(r.dist, 0)], ['Energy (kJ)', r => fmt(r.energyKJ)],
+      ['Mean scan (ms)', r => fmt(r.meanScanMs, 0)], ['Coverage', r => `${fmt(r.coverage * 100)}%`],
+      ['Victims found', r => (r.victims ? `${r.found}/${r.victims}` : '—')], ['First find (s)', r => fmt(r.tFirst)]
+    ];
+    const th = cols.map(([h]) => `<th class="px-2 py-1 text-left font-medium text-gray-600">${h}</th>`).join('');
+    const tr = rows.map(r => `<tr class="border-t border-gray-100">${cols.map(([, f]) => `<td class="px-2 py-1">${f(r)}</td>`).join('')}</tr>`).join('');
+    table.innerHTML = `<thead><tr>${th}</tr></thead><tbody>${tr}</tbody>`;
+  }
+  // Per-step series as CSV, one row per (series, step). String fields are
+  // quoted: labels like "Info gain, hazard-averse" hold commas.
+  toCSV() {
+    const head = 'series,step,time,coverage,dist,energy,scanMs,plan';
+    const q = (s) => `"${String(s ?? '').replace(/"/g, '""')}"`;
+    const lines = this.series.flatMap((frames, k) => frames.map(f =>
+      [q(this.labels[k]), f.step, f.time, f.coverage, f.dist, f.energy, f.scanMs, q(f.plan)].join(',')));
+    return [head, ...lines].join('\n') + '\n';
+  }
+  // All charts side by side on one white PNG (data URL), or null without Chart.js.
+  toPNG() {
+    if (!this.Chart) return null;
+    const canvases = [this.covTime, this.covDist, this.scanHist].map(c => c.canvas);
+    const w = canvases.reduce((s, c) => s + c.width, 0), h = Math.max(...canvases.map(c => c.height));
+    const out = document.createElement('canvas');
+    out.width = w; out.height = h;
+    const g = out.getContext('2d');
+    g.fillStyle = '#fff'; g.fillRect(0, 0, w, h);
+    let x = 0;
+    for (const c of canvases) { g.drawImage(c, x, 0); x += c.width; }
+    return out.toDataURL('image/png');
+  }
+}
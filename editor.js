@@ -0,0 +1,144 @@
+// editor.js (ESM) — browser grid editor for scenario files (see scenario.js):
+// paint cells with the palette, save/load JSON, hand the scenario to the demo.
+// Exports: ScenarioEditor.
+import { LEGEND, parseScenario, serializeScenario, blankScenario } from './scenario.js';
+
+const COLORS = {
+  '#': '#4b5563', '.': '#f8fafc', 'D': '#d6a35c', 'S': '#10b981', 'V': '#ec4899',
+  'T': '#8b6b4a', 'B': '#6d7fa3', 'O': '#5b6b82', 'K': '#a8a29e', 'X': '#6b4b2a',
+  'f': '#ef4444', 'g': '#a3e635', 'h': '#f97316'
+};
+const HAZARD_CHAR = { fire: 'f', gas: 'g', heat: 'h' };
+
+export class ScenarioEditor {
+  // els: { canvas, palette, name, size, newBtn, load, save, apply, clear, status }
+  // opts: { onApply(scenarioJSON), onClear() }
+  constructor(els, opts = {}) {
+    this.els = els;
+    this.opts = opts;
+    this.brush = '#';
+    this._painting = false;
+    this._buildPalette();
+    const c = els.canvas;
+    c.addEventListener('pointerdown', (e) => { this._painting = true; c.setPointerCapture(e.pointerId); this._paintAt(e); });
+    c.addEventListener('pointermove', (e) => { if (this._painting) this._paintAt(e); });
+    c.addEventListener('pointerup', () => { this._painting = false; this._validate(); });
+    els.newBtn?.addEventListener('click', () => {
+      const N = Math.max(5, Math.min(200, parseInt(els.size?.value, 10) || 26));
+      this.load(blankScenario(N, els.name?.value || 'Untitled'));
+    });
+    els.name?.addEventListener('change', () => { this.sc.name = els.name.value; });
+    els.save?.addEventListener('click', () => this._save());
+    els.load?.addEventListener('change', () => this._loadFile());
+    els.apply?.addEventListener('click', () => { if (this._validate()) this.opts.onApply?.(this.scenario()); });
+    els.clear?.addEventListener('click', () => this.opts.onClear?.());
+    this.load(blankScenario(26));
+  }
+  // Raw scenario { name, target, cellM, grid, hazards?, spawns?, victims? } (grid is copied).
+  load(sc) {
+    const grid = typeof sc.grid === 'string' ? sc.grid.split('\n').filter(r => r.length) : sc.grid.slice();
+    this.sc = { ...sc, grid, hazards: (sc.hazards ?? []).map(h => ({ ...h })), victims: (sc.victims ?? []).map(v => ({ ...v })) };
+    if (this.els.name) this.els.name.value = this.sc.name ?? 'Untitled';
+    if (this.els.size) this.els.size.value = this.sc.grid.length;
+    this._validate();
+    this.render();
+  }
+  scenario() { return serializeScenario(this.sc); }
+  status(msg, ok = true) {
+    const el = this.els.status;
+    if (!el) return;
+    el.textContent = msg;
+    el.classList.toggle('text-red-600', !ok);
+    el.classList.toggle('text-gray-500', ok);
+  }
+  _validate() {
+    try {
+      const p = parseScenario(this.sc);
+      this.status(`${p.name}: ${p.size}×${p.size}, ${p.spawns.length} spawn(s), ${p.furniture.length} furniture, ${p.hazards.length} hazard(s), ${p.victims.length} victim(s)`);
+      return true;
+    } catch (e) {
+      this.status(e.message, false);
+      return false;
+    }
+  }
+  _buildPalette() {
+    const box = this.els.palette;
+    if (!box) return;
+    box.innerHTML = '';
+    for (const [ch, def] of Object.entries(LEGEND)) {
+      const b = document.createElement('button');
+      b.type = 'button';
+      b.className = 'flex items-center gap-1 border border-gray-300 rounded px-2 py-1 text-xs hover:bg-gray-100';
+      b.innerHTML = `<span class="inline-block w-3 h-3 rounded-sm" style="background:${COLORS[ch]}"></span>${def.item ?? def.hazard ?? def.kind}`;
+      b.title = `'${ch}'`;
+      b.addEventListener('click', () => {
+        this.brush = ch;
+        for (const o of box.children) o.classList.toggle('ring-2', o === b);
+      });
+      if (ch === this.brush) b.classList.add('ring-2');
+      box.appendChild(b);
+    }
+  }
+  _paintAt(e) {
+    const c = this.els.canvas, N = this.sc.grid.length;
+    const r = c.getBoundingClientRect();
+    const x = Math.floor((e.clientX - r.left) / r.width * N), y = Math.floor((e.clientY - r.top) / r.height * N);
+    if (x < 0 || y < 0 || x >= N || y >= N) return;
+    // painting over an explicitly listed hazard or victim removes it
+    this.sc.hazards = this.sc.hazards.filter(h => h.x !== x || h.y !== y);
+    this.sc.victims = this.sc.victims.filter(v => v.x !== x || v.y !== y);
+    const row = this.sc.grid[y];
+    if (row[x] === this.brush) return;
+    this.sc.grid[y] = row.slice(0, x) + this.brush + row.slice(x + 1);
+    this.render();
+  }
+  render() {
+    const c = this.els.canvas, g = c.getContext('2d'), N = this.sc.grid.length;
+    const px = c.width / N;
+    g.clearRect(0, 0, c.width, c.height);
+    for (let y = 0; y < N; y++) for (let x = 0; x < N; x++) {
+      const ch = this.sc.grid[y][x];
+      const hazard = LEGEND[ch]?.kind === 'hazard';
+      g.fillStyle = hazard ? COLORS['.'] : (COLORS[ch] ?? '#f0f');
+      g.fillRect(x * px, y * px, px, px);
+      if (hazard) this._dot(g, x, y, px, COLORS[ch]);
+    }
+    for (const h of this.sc.hazards) this._dot(g, h.x, h.y, px, COLORS[HAZARD_CHAR[h.kind]] ?? '#f0f', h.r);
+    for (const v of this.sc.victims) this._dot(g, v.x, v.y, px, COLORS.V);
+    g.strokeStyle = 'rgba(0,0,0,0.08)';
+    g.beginPath();
+    for (let i = 0; i <= N; i++) {
+      g.moveTo(i * px, 0); g.lineTo(i * px, N * px);
+      g.moveTo(0, i * px); g.lineTo(N * px, i * px);
+    }
+    g.stroke();
+  }
+  // hazard centre, plus its radius for listed hazards
+  _dot(g, x, y, px, color, r = 0) {
+    g.fillStyle = color;
+    g.beginPath(); g.arc((x + 0.5) * px, (y + 0.5) * px, px * 0.35, 0, 2 * Math.PI); g.fill();
+    if (!r) return;
+    g.strokeStyle = color;
+    g.beginPath(); g.arc((x + 0.5) * px, (y + 0.5) * px, (r + 0.5) * px, 0, 2 * Math.PI); g.stroke();
+  }
+  _save() {
+    if (!this._validate()) return;
+    const sc = this.scenario();
+    const url = URL.createObjectURL(new Blob([JSON.stringify(sc, null, 2) + '\n'], { type: 'application/json' }));
+    const a = document.createElement('a');
+    a.href = url; a.download = `${(sc.name || 'scenario').replace(/[^\w-]+/g, '_')}.json`; a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+  async _loadFile() {
+    const input = this.els.load, file = input.files[0];
+    input.value = '';
+    if (!file) return;
+    try {
+      const sc = JSON.parse(await file.text());
+      parseScenario(sc);
+      this.load(sc);
+    } catch (e) {
+      this.status(`${file.name}: ${e.message}`, false);
+    }
+  }
+}
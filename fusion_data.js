@@ -0,0 +1,145 @@
+// fusion_data.js (ESM) — no DOM. Validated loader for scored.json and
+// good_rewrites.json, shared by app.js and the Node tools.
+// Exports: FusionDataError, normalizePlan, validateScored, validateRewrites,
+// joinFusionData, loadFusionData.
+import { SENSOR_ACTIONS, planCost } from './simlib.js';
+
+const ABBR = { lidar_scan: 'L', thermal_snap: 'T', gas_sniff: 'G', audio_probe: 'A', wait: 'W' };
+const MAX_ISSUES = 8;
+
+// Carries every problem found in one file: issues = ['scored.json[3].pred_ms: ...'].
+export class FusionDataError extends Error {
+  constructor(file, issues) {
+    const more = issues.length > MAX_ISSUES ? `\n… and ${issues.length - MAX_ISSUES} more` : '';
+    super(`${file}: ${issues.length} problem(s)\n` + issues.slice(0, MAX_ISSUES).join('\n') + more);
+    this.name = 'FusionDataError';
+    this.file = file;
+    this.issues = issues;
+  }
+}
+
+// Plan → { groups, nodes, depth, parallel, sig, ms, energyJ }.
+// Accepts [['thermal_snap','wait'],['lidar_scan']] or the raw text form
+// 'thermal_snap + wait, lidar_scan'; groups run in sequence, the actions of a
+// group in parallel (as Sim.executePlan does). Throws Error on bad input.
+export function normalizePlan(plan) {
+  const groups = typeof plan === 'string'
+    ? plan.split(',').map(g => g.split('+').map(a => a.trim()).filter(Boolean))
+    : plan;
+  if (!Array.isArray(groups) || !groups.length) throw new Error('plan must be a non-empty list of groups');
+  for (const g of groups) {
+    if (!Array.isArray(g) || !g.length) throw new Error('every plan group must be a non-empty list');
+    for (const a of g) if (!(a in SENSOR_ACTIONS)) throw new Error(`unknown action ${JSON.stringify(a)}`);
+  }
+  const nodes = groups.flat();
+  const { ms, energyJ } = planCost(groups);
+  return {
+    groups: groups.map(g => [...g]),
+    nodes,
+    depth: groups.length,
+    parallel: groups.filter(g => g.length > 1).length,
+    sig: groups.map(g => g.map(a => ABBR[a]).join('+')).join(','),
+    ms, energyJ
+  };
+}
+
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+
+// scored.json: [{ rank, index, pred_ms, plan, raw? }] → sorted by pred_ms.
+export function validateScored(data, file = 'scored.json') {
+  if (!Array.isArray(data)) throw new FusionDataError(file, ['expected a JSON list']);
+  const issues = [], out = [], seen = new Set();
+  data.forEach((r, i) => {
+    const at = `${file}[${i}]`;
+    if (!r || typeof r !== 'object') { issues.push(`${at}: expected an object`); return; }
+    if (!Number.isInteger(r.index) || r.index < 0) issues.push(`${at}.index: expected a non-negative integer, got ${JSON.stringify(r.index)}`);
+    else if (seen.has(r.index)) issues.push(`${at}.index: duplicate index ${r.index}`);
+    if (!isNum(r.pred_ms) || r.pred_ms <= 0) issues.push(`${at}.pred_ms: expected a positive number, got ${JSON.stringify(r.pred_ms)}`);
+    let plan = null;
+    try { plan = normalizePlan(r.plan ?? r.raw); }
+    catch (e) { issues.push(`${at}.plan: ${e.message}`); }
+    seen.add(r.index);
+    if (plan) out.push({ rank: Number.isInteger(r.rank) ? r.rank : i, index: r.index, pred_ms: r.pred_ms, plan });
+  });
+  if (!data.length) issues.push(`${file}: no entries`);
+  if (issues.length) throw new FusionDataError(file, issues);
+  return out.sort((a, b) => a.pred_ms - b.pred_ms);
+}
+
+// good_rewrites.json: [{ index?, parsed_plan, features, feature_vector, raw, ... }].
+// index is null without an explicit one (the list position says nothing about
+// the scored index; see joinFusionData). id is 'rewrite[i]' for display and
+// never collides with an index.
+export function validateRewrites(data, file = 'good_rewrites.json') {
+  if (!Array.isArray(data)) throw new FusionDataError(file, ['expected a JSON list']);
+  const issues = [], out = [];
+  data.forEach((r, i) => {
+    const at = `${file}[${i}]`;
+    if (!r || typeof r !== 'object') { issues.push(`${at}: expected an object`); return; }
+    if (r.index != null && (!Number.isInteger(r.index) || r.index < 0))
+      issues.push(`${at}.index: expected a non-negative integer, got ${JSON.stringify(r.index)}`);
+    let plan = null;
+    try { plan = normalizePlan(r.parsed_plan ?? r.raw); }
+    catch (e) { issues.push(`${at}.parsed_plan: ${e.message}`); }
+    if (r.features != null && (typeof r.features !== 'object' || !Object.values(r.features).every(isNum)))
+      issues.push(`${at}.features: expected an object of numbers`);
+    if (r.feature_vector != null && (!Array.isArray(r.feature_vector) || !r.feature_vector.every(isNum)))
+      issues.push(`${at}.feature_vector: expected a list of numbers`);
+    if (plan) out.push({
+      index: Number.isInteger(r.index) ? r.index : null,
+      id: `rewrite[${i}]`,
+      plan,
+      seedPlan: r.seed_plan ?? null,
+      features: r.features ?? {},
+      featureVector: r.feature_vector ?? [],
+      model: r.model ?? null
+    });
+  });
+  if (issues.length) throw new FusionDataError(file, issues);
+  return out;
+}
+
+// Join scored entries to rewrites: by `index` where a rewrite has one, else by
+// plan signature (the shipped good_rewrites.json carries no index; its
+// rewrites are plans of their own and only some of them were scored, so an
+// unmatched composite is normal). Returns
+// { candidates: [{ index, rank, pred_ms, plan, shape, rewrite }], best, bestMs, warnings };
+// `plan` is the group array the Sim executes, `shape` the normalized form.
+export function joinFusionData(scored, rewrites = []) {
+  const indexed = rewrites.filter(r => r.index !== null);
+  const byIndex = new Map(indexed.map(r => [r.index, r]));
+  const bySig = new Map();
+  for (const r of rewrites) if (r.index === null && !bySig.has(r.plan.sig)) bySig.set(r.plan.sig, r);
+  const warnings = [];
+  const candidates = scored.map(s => {
+    const rewrite = byIndex.get(s.index) ?? bySig.get(s.plan.sig) ?? null;
+    if (rewrite?.index != null && rewrite.plan.sig !== s.plan.sig)
+      warnings.push(`composite #${s.index}: scored plan ${s.plan.sig} differs from rewrite ${rewrite.plan.sig}`);
+    return { index: s.index, rank: s.rank, pred_ms: s.pred_ms, plan: s.plan.groups, shape: s.plan, rewrite };
+  });
+  const missing = candidates.filter(c => !c.rewrite).map(c => c.index);
+  if (indexed.length && missing.length)
+    warnings.push(`no rewrite for scored index ${missing.join(', ')}`);
+  return { candidates, best: candidates[0], bestMs: candidates[0].pred_ms, warnings };
+}
+
+// readJSON(name) → parsed JSON (fetch in the browser, readFileSync in Node).
+// good_rewrites.json is optional: when it cannot be read the candidates come
+// without rewrites and a warning says so. Throws FusionDataError / Error.
+export async function loadFusionData(readJSON, { scored = 'scored.json', good = 'good_rewrites.json' } = {}) {
+  let scoredJSON;
+  try { scoredJSON = await readJSON(scored); }
+  catch (e) { throw new FusionDataError(scored, [`cannot load: ${e.message}`]); }
+  const entries = validateScored(scoredJSON, scored);
+  let rewrites = [], goodWarning = null;
+  if (good) {
+    let goodJSON = null;
+    try { goodJSON = await readJSON(good); }
+    catch (e) { goodWarning = `${good}: cannot load (${e.message}); composites have no rewrite details`; }
+    if (goodJSON) rewrites = validateRewrites(goodJSON, good);
+  }
+  const out = joinFusionData(entries, rewrites);
+  if (goodWarning) out.warnings.unshift(goodWarning);
+  out.rewrites = rewrites;
+  return out;
+}
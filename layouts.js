@@ -0,0 +1,224 @@
+// layouts.js (ESM) — no DOM. Seeded procedural building layouts for Sim
+// (cfg.layout): BSP rooms, corridor mazes and furnished apartments.
+// Exports: LAYOUTS, generateLayout.
+//
+// Every generator draws only from the rng it is given (Sim passes its
+// mulberry32 stream), keeps walls one cell thick so both faces can be sensed,
+// leaves (1,1) free for the spawn and returns a connected floor:
+//   { gt (gt[x][y], 0 free / 1 obstacle), doors: [[x,y]], furniture: [{ item, x, y, w, h }] }
+const FREE = 0, OBST = 1;
+
+// opts: doorWidth (cells), minRoom (smallest room side), corridorWidth,
+// deadEnds (0..1 share of corridor dead ends kept), rooms (0..1 chance a maze
+// block opens into a hall), furnish (apartment furniture).
+export function generateLayout(kind, N, rng, opts = {}) {
+  const gen = LAYOUTS[kind];
+  if (!gen) throw new Error(`unknown layout ${JSON.stringify(kind)} (${Object.keys(LAYOUTS).join(', ')})`);
+  const o = {
+    doorWidth: 2, minRoom: Math.max(3, Math.round(N / 7)), corridorWidth: 2, deadEnds: 0.3, rooms: 0.15, furnish: true,
+    ...Object.fromEntries(Object.entries(opts).filter(([, v]) => v != null))
+  };
+  return gen(N, rng, o);
+}
+
+const randInt = (rng, lo, hi) => lo + Math.floor(rng() * (hi - lo + 1));   // inclusive
+
+function shell(N, fill = FREE) {
+  const gt = Array.from({ length: N }, () => new Array(N).fill(fill));
+  for (let i = 0; i < N; i++) gt[i][0] = gt[i][N-1] = gt[0][i] = gt[N-1][i] = OBST;
+  return gt;
+}
+
+// Cut a door of up to `width` cells into a straight wall: vert walls are the
+// column x = at over rows from..to, horizontal ones the row y = at. Only
+// spots with floor on both sides qualify (never a wall junction); the widest
+// width that fits wins. Returns the door cells ([] when nothing fits).
+function cutDoor(gt, rng, wall, width) {
+  const { vert, at, from, to } = wall;
+  const cell = (p, d) => (vert ? gt[at + d]?.[p] : gt[p]?.[at + d]);
+  for (let w = width; w >= 1; w--) {
+    const starts = [];
+    for (let p = from; p + w - 1 <= to; p++) {
+      let ok = true;
+      for (let k = 0; k < w && ok; k++) ok = cell(p + k, 0) === OBST && cell(p + k, -1) === FREE && cell(p + k, 1) === FREE;
+      if (ok) starts.push(p);
+    }
+    if (!starts.length) continue;
+    const p = starts[Math.floor(rng() * starts.length)], out = [];
+    for (let k = 0; k < w; k++) {
+      const [x, y] = vert ? [at, p + k] : [p + k, at];
+      gt[x][y] = FREE; out.push([x, y]);
+    }
+    return out;
+  }
+  return [];
+}
+
+// Binary space partition: split the interior into rooms of at least minRoom
+// cells a side, one door per split wall (so the rooms form a tree).
+function bsp(N, rng, o) {
+  const gt = shell(N), walls = [], m = o.minRoom;
+  const split = (x0, y0, x1, y1, depth) => {
+    const w = x1 - x0 + 1, h = y1 - y0 + 1;
+    const canV = w >= 2*m + 1, canH = h >= 2*m + 1;
+    if (!canV && !canH) return;
+    if (depth > 1 && w < 3*m && h < 3*m && rng() < 0.3) return;   // some larger rooms
+    const vert = canV && (!canH || w > h || (w === h && rng() < 0.5));
+    if (vert) {
+      const at = randInt(rng, x0 + m, x1 - m);
+      for (let y = y0; y <= y1; y++) gt[at][y] = OBST;
+      walls.push({ vert: true, at, from: y0, to: y1 });
+      split(x0, y0, at - 1, y1, depth + 1); split(at + 1, y0, x1, y1, depth + 1);
+    } else {
+      const at = randInt(rng, y0 + m, y1 - m);
+      for (let x = x0; x <= x1; x++) gt[x][at] = OBST;
+      walls.push({ vert: false, at, from: x0, to: x1 });
+      split(x0, y0, x1, at - 1, depth + 1); split(x0, at + 1, x1, y1, depth + 1);
+    }
+  };
+  split(1, 1, N - 2, N - 2, 0);
+  const doors = walls.flatMap(w => cutDoor(gt, rng, w, o.doorWidth));
+  return { gt, doors, furniture: [] };
+}
+
+// k units of floor between k+1 one-cell walls spanning 0..N-1; the spare
+// cells widen some units so the last wall lands on the border.
+function unitSpans(N, width) {
+  const k = Math.max(1, Math.floor((N - 1) / (width + 1)));
+  let extra = N - 1 - k * (width + 1);
+  const spans = [];
+  let p = 1;
+  for (let i = 0; i < k; i++) {
+    const w = width + Math.floor(extra / (k - i));
+    extra -= w - width;
+    spans.push([p, p + w - 1]);
+    p += w + 1;
+  }
+  return spans;
+}
+
+// Corridor graph: a random spanning tree over a lattice of corridor units
+// (randomized DFS), braided so only `deadEnds` of its dead ends stay; with
+// probability `rooms` a 2×2 block of units opens into a hall.
+function corridors(N, rng, o) {
+  const gt = shell(N, OBST);
+  const xs = unitSpans(N, o.corridorWidth), K = xs.length, ys = xs;
+  const carve = (x0, x1, y0, y1) => { for (let x = x0; x <= x1; x++) for (let y = y0; y <= y1; y++) gt[x][y] = FREE; };
+  const id = (i, j) => j * K + i;
+  const adj = Array.from({ length: K * K }, () => new Set());
+  const nbrs = (i, j) => [[i+1, j], [i-1, j], [i, j+1], [i, j-1]].filter(([a, b]) => a >= 0 && b >= 0 && a < K && b < K);
+  const link = (i, j, a, b) => { adj[id(i, j)].add(id(a, b)); adj[id(a, b)].add(id(i, j)); };
+  const seen = new Uint8Array(K * K), stack = [[0, 0]];
+  seen[0] = 1;
+  while (stack.length) {
+    const [i, j] = stack[stack.length - 1];
+    const open = nbrs(i, j).filter(([a, b]) => !seen[id(a, b)]);
+    if (!open.length) { stack.pop(); continue; }
+    const [a, b] = open[Math.floor(rng() * open.length)];
+    seen[id(a, b)] = 1; link(i, j, a, b); stack.push([a, b]);
+  }
+  for (let j = 0; j < K; j++) for (let i = 0; i < K; i++) {
+    if (adj[id(i, j)].size !== 1 || rng() < o.deadEnds) continue;
+    const closed = nbrs(i, j).filter(([a, b]) => !adj[id(i, j)].has(id(a, b)));
+    if (closed.length) { const [a, b] = closed[Math.floor(rng() * closed.length)]; link(i, j, a, b); }
+  }
+  for (let j = 0; j < K; j++) for (let i = 0; i < K; i++) {
+    carve(xs[i][0], xs[i][1], ys[j][0], ys[j][1]);
+    if (adj[id(i, j)].has(id(i + 1, j))) carve(xs[i][1] + 1, xs[i][1] + 1, ys[j][0], ys[j][1]);
+    if (adj[id(i, j)].has(id(i, j + 1))) carve(xs[i][0], xs[i][1], ys[j][1] + 1, ys[j][1] + 1);
+  }
+  for (let j = 0; j + 1 < K; j += 2) for (let i = 0; i + 1 < K; i += 2)
+    if (rng() < o.rooms) carve(xs[i][0], xs[i + 1][1], ys[j][0], ys[j + 1][1]);
+  return { gt, doors: [], furniture: [] };
+}
+
+// Apartment: a hallway across the middle with rooms on both sides, each with
+// a door onto the hall; deep rooms are split again (closet / bathroom behind
+// an inner door). Rooms are furnished by type without cutting anything off.
+function apartment(N, rng, o) {
+  const gt = shell(N), doors = [], rooms = [], m = o.minRoom;
+  const hw = N >= 30 ? 3 : 2;
+  const hy = randInt(rng, Math.floor(N/2) - 2, Math.floor(N/2));   // first hallway row
+  for (let x = 1; x < N - 1; x++) { gt[x][hy - 1] = OBST; gt[x][hy + hw] = OBST; }
+  const strip = (y0, y1, hallWall, side) => {
+    let x0 = 1;
+    while (x0 <= N - 2) {
+      let x1 = Math.min(N - 2, x0 + randInt(rng, m, 2*m) - 1);
+      if (N - 2 - x1 < m + 1) x1 = N - 2;        // no sliver at the end
+      if (x1 < N - 2) for (let y = y0; y <= y1; y++) gt[x1 + 1][y] = OBST;
+      doors.push(...cutDoor(gt, rng, { vert: false, at: hallWall, from: x0, to: x1 }, o.doorWidth));
+      // deep room: inner wall parallel to the hall, away from it
+      if (y1 - y0 + 1 >= 2*m + 2 && rng() < 0.6) {
+        const at = side < 0 ? randInt(rng, y0 + m - 1, y1 - m) : randInt(rng, y0 + m, y1 - m + 1);
+        for (let x = x0; x <= x1; x++) gt[x][at] = OBST;
+        doors.push(...cutDoor(gt, rng, { vert: false, at, from: x0, to: x1 }, Math.min(o.doorWidth, 1)));
+        const [far, near] = side < 0 ? [[y0, at - 1], [at + 1, y1]] : [[at + 1, y1], [y0, at - 1]];
+        rooms.push({ x0, x1, y0: near[0], y1: near[1], main: true }, { x0, x1, y0: far[0], y1: far[1], main: false });
+      } else {
+        rooms.push({ x0, x1, y0, y1, main: true });
+      }
+      x0 = x1 + 2;
+    }
+  };
+  strip(1, hy - 2, hy - 1, -1);
+  strip(hy + hw + 1, N - 2, hy + hw, +1);
+  const furniture = o.furnish ? furnish(gt, rng, rooms, doors) : [];
+  return { gt, doors, furniture };
+}
+
+// Room type → pieces [item, long side, short side, against a wall?]
+const FURNISH = {
+  living:  [['sofa', 3, 1, true], ['table', 2, 2, false]],
+  kitchen: [['counter', 4, 1, true], ['table', 2, 1, false]],
+  bedroom: [['bed', 3, 2, true], ['crate', 1, 1, true]],
+  bath:    [['crate', 1, 1, true]]
+};
+const MAIN_ROOMS = ['living', 'kitchen', 'bedroom', 'bedroom'];
+
+function furnish(gt, rng, rooms, doors) {
+  const N = gt.length, out = [];
+  const nearDoor = (x, y) => doors.some(([dx, dy]) => Math.abs(dx - x) <= 1 && Math.abs(dy - y) <= 1);
+  let main = 0;
+  for (const r of rooms) {
+    const type = r.main ? MAIN_ROOMS[main++ % MAIN_ROOMS.length] : 'bath';
+    for (const [item, long, short, wall] of FURNISH[type]) {
+      for (let tries = 0; tries < 24; tries++) {
+        const [w, h] = rng() < 0.5 ? [long, short] : [short, long];
+        if (w > r.x1 - r.x0 - 1 || h > r.y1 - r.y0 - 1) continue;
+        let x = randInt(rng, r.x0, r.x1 - w + 1), y = randInt(rng, r.y0, r.y1 - h + 1);
+        if (wall) {   // snap to the nearest wall
+          const side = Math.floor(rng() * 4);
+          if (side === 0) x = r.x0; else if (side === 1) x = r.x1 - w + 1;
+          else if (side === 2) y = r.y0; else y = r.y1 - h + 1;
+        } else if (x === r.x0 || y === r.y0 || x + w - 1 === r.x1 || y + h - 1 === r.y1) continue;  // keep free-standing
+        const cells = [];
+        for (let i = x; i < x + w; i++) for (let j = y; j < y + h; j++) cells.push([i, j]);
+        if (cells.some(([i, j]) => gt[i][j] !== FREE || nearDoor(i, j) || (i <= 3 && j <= 3))) continue;
+        for (const [i, j] of cells) gt[i][j] = OBST;
+        if (connected(gt, N)) { out.push({ item, x, y, w, h }); break; }
+        for (const [i, j] of cells) gt[i][j] = FREE;
+      }
+    }
+  }
+  return out;
+}
+
+// Every free cell reachable from (1,1)?
+function connected(gt, N) {
+  let free = 0;
+  for (let x = 0; x < N; x++) for (let y = 0; y < N; y++) if (gt[x][y] === FREE) free++;
+  const seen = new Uint8Array(N * N), q = [[1, 1]];
+  seen[N + 1] = 1;
+  let n = 0;
+  while (q.length) {
+    const [x, y] = q.pop();
+    n++;
+    for (const [a, b] of [[x+1, y], [x-1, y], [x, y+1], [x, y-1]]) {
+      if (a < 0 || b < 0 || a >= N || b >= N || seen[b * N + a] || gt[a][b] !== FREE) continue;
+      seen[b * N + a] = 1; q.push([a, b]);
+    }
+  }
+  return n === free;
+}
+
+export const LAYOUTS = { bsp, corridors, apartment };
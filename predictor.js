@@ -0,0 +1,111 @@
+// predictor.js (ESM) — no DOM. Learned scan-time model for sensing plans,
+// trained by tools/train_predictor.js and shipped as scan_predictor.json.
+// Exports: PLAN_FEATURES, CONTEXT_FEATURES, INTERACTION_FEATURES, planFeatures,
+// featureRow, ScanPredictor, rankPredicted.
+//
+// The model is ridge regression on standardized features predicting log(ms),
+// relative to the plan's scored pred_ms when model.offset is 'pred_ms' (it
+// then learns how the context stretches a known time): the plan's shape (the features good_rewrites.json carries), the context
+// from estimateContext and plan × context terms (a condition only slows the
+// sensors that work through it). Confidence is exp(−d²/2), d the scaled distance to
+// the nearest composite it was trained on plus how far the context lies
+// outside the trained range (per feature, in units of model.scale: the
+// training spread, at least a quarter of the mean), so plans and places
+// unlike the training data score low.
+import { SENSOR_ACTIONS, planCost, rankPlans } from './simlib.js';
+
+export const PLAN_FEATURES = ['comp_num_nodes', 'comp_num_parallel', 'comp_depth', 'mean_watts', 'est_time_ms', 'includes_safety',
+  'has_thermal', 'has_gas', 'has_audio'];
+export const CONTEXT_FEATURES = ['clutter', 'heat', 'gas', 'noise'];
+// name → [plan feature, context feature] multiplied
+export const INTERACTION_FEATURES = {
+  safety_clutter: ['includes_safety', 'clutter'], thermal_heat: ['has_thermal', 'heat'],
+  gas_gas: ['has_gas', 'gas'], audio_noise: ['has_audio', 'noise']
+};
+const Z95 = 1.96;
+const MAX_WIDEN = 3;     // novelty distance beyond which the interval stops widening
+
+// Plan groups → { name: value } for PLAN_FEATURES. est_time_ms is the Sim's
+// planCost; includes_safety marks a LiDAR sweep (as in the rewrite features).
+export function planFeatures(plan) {
+  const nodes = plan.flat(), acts = new Set(nodes);
+  return {
+    comp_num_nodes: nodes.length,
+    comp_num_parallel: plan.filter(g => g.length > 1).length,
+    comp_depth: plan.length,
+    mean_watts: nodes.reduce((s, a) => s + SENSOR_ACTIONS[a].watts, 0) / nodes.length,
+    est_time_ms: planCost(plan).ms,
+    includes_safety: acts.has('lidar_scan') ? 1 : 0,
+    has_thermal: acts.has('thermal_snap') ? 1 : 0,
+    has_gas: acts.has('gas_sniff') ? 1 : 0,
+    has_audio: acts.has('audio_probe') ? 1 : 0
+  };
+}
+
+// Plan features + context → every model input by name.
+export function featureRow(pf, ctx) {
+  const row = { ...pf };
+  for (const c of CONTEXT_FEATURES) row[c] = ctx[c] ?? 0;
+  for (const [f, [p, c]] of Object.entries(INTERACTION_FEATURES)) row[f] = pf[p] * row[c];
+  return row;
+}
+
+export class ScanPredictor {
+  // model: the JSON written by tools/train_predictor.js
+  constructor(model) {
+    const p = model?.features?.length;
+    if (!p || model.kind !== 'ridge-log' || [model.mean, model.std, model.scale, model.weights].some(a => a?.length !== p) ||
+        !Array.isArray(model.composites) || !model.contextRange)
+      throw new Error('scan predictor: expected a ridge-log model with features, mean, std, scale, weights, composites and contextRange');
+    this.model = model;
+    this._plans = new Map();   // plan signature → plan features
+  }
+  _planFeatures(plan) {
+    const sig = JSON.stringify(plan);
+    let pf = this._plans.get(sig);
+    if (!pf) this._plans.set(sig, pf = planFeatures(plan));
+    return pf;
+  }
+  // Squared scaled distance from the training data: to the nearest trained
+  // composite, plus the context's excursion outside the trained range.
+  _novelty(pf, ctx) {
+    const { features, scale, composites, contextRange } = this.model;
+    let near = Infinity;
+    for (const row of composites) {
+      let d = 0;
+      features.forEach((f, k) => { if (f in pf) d += ((pf[f] - row[k]) / scale[k]) ** 2; });
+      near = Math.min(near, d);
+    }
+    let out = 0;
+    features.forEach((f, k) => {
+      const rng = contextRange[f];
+      if (rng && ctx[f] != null) out += (Math.max(0, rng[0] - ctx[f], ctx[f] - rng[1]) / scale[k]) ** 2;
+    });
+    return near + out;
+  }
+  // → { ms, lo, hi, confidence }: median prediction, 95% interval (wider
+  // away from the training data) and 0–1 confidence. baseMs: the plan's
+  // scored pred_ms (defaults to its planCost time).
+  predict(plan, ctx, baseMs = null) {
+    const m = this.model, pf = this._planFeatures(plan), row = featureRow(pf, ctx);
+    let mu = m.bias + (m.offset === 'pred_ms' ? Math.log(baseMs ?? pf.est_time_ms) : 0);
+    m.features.forEach((f, k) => { mu += m.weights[k] * ((row[f] ?? 0) - m.mean[k]) / m.std[k]; });
+    const d2 = this._novelty(pf, ctx), se = m.sigma * Math.sqrt(1 + Math.min(d2, MAX_WIDEN ** 2));
+    return { ms: Math.exp(mu), lo: Math.exp(mu - Z95 * se), hi: Math.exp(mu + Z95 * se), confidence: Math.exp(-d2 / 2) };
+  }
+}
+
+// Predict every candidate composite for this context and rank the valid ones
+// with rankPlans (cheapest first), the prediction replacing pred_ms. Valid:
+// confidence ≥ minConfidence and, with a battery, energy (at `watts`, the
+// sim's cfg.sensorWatts) within budgetJ.
+// Returns [{ candidate, cost, energyJ, prediction }].
+export function rankPredicted(predictor, candidates, ctx, { minConfidence = predictor.model.minConfidence ?? 0, budgetJ = Infinity, watts = null } = {}) {
+  const valid = [];
+  for (const c of candidates) {
+    const prediction = predictor.predict(c.plan, ctx, c.pred_ms);
+    if (prediction.confidence < minConfidence || planCost(c.plan, watts).energyJ > budgetJ) continue;
+    valid.push({ ...c, pred_ms: prediction.ms, prediction });
+  }
+  return rankPlans(valid, ctx, watts).map(r => ({ ...r, prediction: r.candidate.prediction }));
+}
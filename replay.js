@@ -0,0 +1,296 @@
+// replay.js (ESM) — no DOM. Per-step recordings of the A/B sims and playback.
+// Exports: Recorder, Replay, encodeJSON, decodeJSON, encodeBinary, decodeBinary.
+//
+// A recording is { version, meta, panels: [panel] }, one panel per Sim:
+//   panel = { cfg, gt, map0, hazards, layout, victims, robots0, headings0, frames: [frame] }
+//   frame = { step, time, coverage, dist, energy, scanMs, plan, robots, headings, goals, revealed, found }
+// Grids are strings of N*N chars indexed y*N+x ('0' unknown, '1' free, '2'
+// obstacle); robots/goals are flat [x0,y0,x1,y1,...] (null, null for a robot
+// without a goal); revealed lists the map cells that changed during the step
+// as flat [cellIndex, value, ...] and found the ids of victims detected during
+// it. Version 1 recordings (no victims) still load.
+const VERSION = 2;
+const MAGIC = 0x59504c52;   // 'RLPY' little-endian
+const FREE = 0, UNK = -1;
+
+const cellChar = (v) => String.fromCharCode(49 + v);   // -1→'0', 0→'1', 1→'2'
+const charCell = (c) => c.charCodeAt(0) - 49;
+
+function gridString(g, N) {
+  let s = '';
+  for (let y = 0; y < N; y++) for (let x = 0; x < N; x++) s += cellChar(g[x][y]);
+  return s;
+}
+function gridFromString(s, N) {
+  if (typeof s !== 'string' || s.length !== N * N) throw new Error(`grid must be a ${N * N}-char string`);
+  const g = Array.from({ length: N }, () => new Array(N));
+  for (let i = 0; i < s.length; i++) g[i % N][(i / N) | 0] = charCell(s[i]);
+  return g;
+}
+function flatMap(sim) {
+  const N = sim.cfg.size, out = new Int8Array(N * N);
+  for (let x = 0; x < N; x++) for (let y = 0; y < N; y++) out[y * N + x] = sim.map[x][y];
+  return out;
+}
+const planSig = (plan) => Array.isArray(plan) ? plan.map(g => g.join('+')).join(',') : null;
+
+// Records one frame per sim per stepOnce. Frames store only the map delta.
+export class Recorder {
+  constructor(meta = {}) {
+    this.meta = meta;
+    this.panels = [];
+    this._prev = [];
+  }
+  get length() { return this.panels.length ? Math.min(...this.panels.map(p => p.frames.length)) : 0; }
+  start(sims) {
+    this.panels = sims.map(sim => ({
+      // batteryJ: Infinity does not survive JSON; Sim reads null as "no battery"
+      cfg: { ...sim.cfg, batteryJ: Number.isFinite(sim.cfg.batteryJ) ? sim.cfg.batteryJ : null },
+      gt: gridString(sim.gt, sim.cfg.size),
+      map0: gridString(sim.map, sim.cfg.size),
+      hazards: sim.hazards.map(h => ({ ...h })),
+      layout: sim.layout ?? null,
+      victims: (sim.victims ?? []).map(({ id, x, y }) => ({ id, x, y })),
+      robots0: sim.robots.flat(),
+      headings0: sim.headings.slice(),
+      frames: []
+    }));
+    this._prev = sims.map(flatMap);
+    this._nDet = sims.map(sim => sim.detections.length);
+  }
+  // info[k] = { goals: [[x,y],...], plan: string[][] | null } for sims[k]
+  record(sims, info = []) {
+    sims.forEach((sim, k) => {
+      const cur = flatMap(sim), prev = this._prev[k], revealed = [];
+      for (let i = 0; i < cur.length; i++) if (cur[i] !== prev[i]) revealed.push(i, cur[i]);
+      this._prev[k] = cur;
+      const found = sim.detections.slice(this._nDet[k]).filter(d => d.kind === 'victim').map(d => d.victim);
+      this._nDet[k] = sim.detections.length;
+      const scan = sim.lastScan[0];
+      this.panels[k].frames.push({
+        step: sim.step,
+        time: sim.time,
+        coverage: sim.coverage(),
+        dist: sim.totalDistance(),
+        energy: sim.totalEnergy(),
+        scanMs: scan ? scan.ms : 0,
+        plan: planSig(info[k]?.plan ?? scan?.plan),
+        robots: sim.robots.flat(),
+        headings: sim.headings.slice(),
+        goals: sim.robots.flatMap((_, i) => info[k]?.goals?.[i] ?? [null, null]),
+        revealed,
+        found
+      });
+    });
+  }
+  toJSON() { return { version: VERSION, meta: this.meta, panels: this.panels }; }
+}
+
+// Read-only stand-in for a Sim at one frame: exposes what ThreeScene reads
+// (cfg, gt, map, robots, headings, hazards, layout, logOdds, frontiers()),
+// plus the victims and the ids found so far.
+class ReplayView {
+  constructor(panel) {
+    this.panel = panel;
+    this.cfg = { ...panel.cfg, batteryJ: panel.cfg.batteryJ ?? Infinity };
+    this.gt = gridFromString(panel.gt, this.cfg.size);
+    this.hazards = panel.hazards;
+    this.layout = panel.layout ?? null;
+    this.victims = panel.victims ?? [];
+    this.logOdds = null;
+    this.reset();
+  }
+  reset() {
+    const p = this.panel;
+    this.map = gridFromString(p.map0, this.cfg.size);
+    this.robots = pairs(p.robots0);
+    this.headings = p.headings0.slice();
+    this.trails = this.robots.map(r => [r.slice()]);   // as Sim.trail(i)
+    this.goals = [];
+    this.found = [];
+    this.frame = null;
+  }
+  apply(f) {
+    const N = this.cfg.size;
+    for (let i = 0; i < f.revealed.length; i += 2) {
+      const id = f.revealed[i];
+      this.map[id % N][(id / N) | 0] = f.revealed[i + 1];
+    }
+    this.robots = pairs(f.robots);
+    // A Sim step moves a robot at most one 4-connected cell, so the poses of
+    // consecutive frames are the cells it drove through: this is Sim.trail.
+    this.robots.forEach(([x, y], i) => {
+      const t = this.trails[i], last = t?.[t.length - 1];
+      if (!t) this.trails[i] = [[x, y]];
+      else if (last[0] !== x || last[1] !== y) t.push([x, y]);
+    });
+    this.headings = f.headings.slice();
+    this.goals = pairs(f.goals).map(g => g[0] === null ? null : g);
+    if (f.found?.length) this.found = [...this.found, ...f.found];
+    this.frame = f;
+  }
+  get step() { return this.frame ? this.frame.step : 0; }
+  get time() { return this.frame ? this.frame.time : 0; }
+  coverage() {
+    if (this.frame) return this.frame.coverage;
+    let known = 0;
+    for (const col of this.map) for (const v of col) if (v !== UNK) known++;
+    return known / (this.cfg.size * this.cfg.size);
+  }
+  // unknown cells next to a free one, as Sim.frontiers()
+  frontiers() {
+    const N = this.cfg.size, m = this.map, out = [];
+    for (let x = 0; x < N; x++) for (let y = 0; y < N; y++) {
+      if (m[x][y] !== UNK) continue;
+      if ((x > 0 && m[x-1][y] === FREE) || (x < N-1 && m[x+1][y] === FREE) ||
+          (y > 0 && m[x][y-1] === FREE) || (y < N-1 && m[x][y+1] === FREE)) out.push([x, y]);
+    }
+    return out;
+  }
+}
+function pairs(flat) {
+  const out = [];
+  for (let i = 0; i + 1 < flat.length; i += 2) out.push([flat[i], flat[i + 1]]);
+  return out;
+}
+
+// Plays a recording back: views[k] mirrors panel k at the current frame.
+// Frame -1 is the initial state; seeking backwards replays deltas from it.
+export class Replay {
+  constructor(rec) {
+    validate(rec);
+    this.meta = rec.meta ?? {};
+    this.views = rec.panels.map(p => new ReplayView(p));
+    this.length = Math.min(...rec.panels.map(p => p.frames.length));
+    this.frame = -1;
+  }
+  seek(f) {
+    f = Math.max(-1, Math.min(this.length - 1, Math.round(f)));
+    if (f < this.frame) { for (const v of this.views) v.reset(); this.frame = -1; }
+    for (let i = this.frame + 1; i <= f; i++)
+      this.views.forEach(v => v.apply(v.panel.frames[i]));
+    this.frame = f;
+    return f;
+  }
+  next() { return this.seek(this.frame + 1); }
+  get done() { return this.frame >= this.length - 1; }
+}
+
+function validate(rec) {
+  if (!rec || !(rec.version >= 1 && rec.version <= VERSION) || !Array.isArray(rec.panels) || !rec.panels.length)
+    throw new Error(`not a replay recording (expected version 1–${VERSION} with panels)`);
+  rec.panels.forEach((p, k) => {
+    const N = p?.cfg?.size;
+    if (!Number.isInteger(N) || N <= 0) throw new Error(`panel ${k}: cfg.size missing`);
+    for (const key of ['gt', 'map0']) if (typeof p[key] !== 'string' || p[key].length !== N * N)
+      throw new Error(`panel ${k}: ${key} must be a ${N * N}-char grid`);
+    if (!Array.isArray(p.frames) || !Array.isArray(p.robots0)) throw new Error(`panel ${k}: frames/robots0 missing`);
+  });
+}
+
+export const encodeJSON = (rec) => JSON.stringify(rec.toJSON ? rec.toJSON() : rec);
+export function decodeJSON(text) {
+  const rec = JSON.parse(text);
+  validate(rec);
+  return rec;
+}
+
+// Binary log: u32 magic, u32 version, u32 header length, UTF-8 JSON header
+// (the recording without frames, plus a plan dictionary), then per panel
+// u32 frame count and the packed frames:
+//   u32 step, f64 time, f32 coverage, f32 dist, f32 energy, f32 scanMs, i16 plan,
+//   u8 robots, robots × (u16 x, u16 y, f32 heading, i16 goalX, i16 goalY; -1 = no goal),
+//   u32 revealed, revealed × (u32 cell, i8 value), u8 found, found × u16 victim id
+// (version 1 logs end the frame after revealed)
+const FRAME_FIXED = 4 + 8 + 4 * 4 + 2 + 1 + 4 + 1, ROBOT_BYTES = 2 + 2 + 4 + 2 + 2, REVEAL_BYTES = 5;
+
+export function encodeBinary(input) {
+  const rec = input.toJSON ? input.toJSON() : input;
+  const plans = [];
+  const planId = (sig) => {
+    if (sig == null) return -1;
+    let i = plans.indexOf(sig);
+    if (i < 0) { i = plans.length; plans.push(sig); }
+    return i;
+  };
+  const header = { ...rec, plans, panels: rec.panels.map(({ frames, ...p }) => p) };
+  for (const p of rec.panels) for (const f of p.frames) planId(f.plan);
+  const head = new TextEncoder().encode(JSON.stringify(header));
+  let size = 12 + head.length;
+  for (const p of rec.panels) {
+    size += 4;
+    for (const f of p.frames) size += FRAME_FIXED + ROBOT_BYTES * (f.robots.length / 2) + REVEAL_BYTES * (f.revealed.length / 2) + 2 * (f.found?.length ?? 0);
+  }
+  const buf = new ArrayBuffer(size), dv = new DataView(buf);
+  let o = 0;
+  dv.setUint32(o, MAGIC, true); dv.setUint32(o + 4, VERSION, true); dv.setUint32(o + 8, head.length, true); o += 12;
+  new Uint8Array(buf, o, head.length).set(head); o += head.length;
+  for (const p of rec.panels) {
+    dv.setUint32(o, p.frames.length, true); o += 4;
+    for (const f of p.frames) {
+      dv.setUint32(o, f.step, true); dv.setFloat64(o + 4, f.time, true);
+      dv.setFloat32(o + 12, f.coverage, true); dv.setFloat32(o + 16, f.dist, true);
+      dv.setFloat32(o + 20, f.energy, true); dv.setFloat32(o + 24, f.scanMs, true);
+      dv.setInt16(o + 28, planId(f.plan), true);
+      const n = f.robots.length / 2;
+      dv.setUint8(o + 30, n); o += 31;
+      for (let r = 0; r < n; r++) {
+        dv.setUint16(o, f.robots[2*r], true); dv.setUint16(o + 2, f.robots[2*r + 1], true);
+        dv.setFloat32(o + 4, f.headings[r], true);
+        dv.setInt16(o + 8, f.goals[2*r] ?? -1, true); dv.setInt16(o + 10, f.goals[2*r + 1] ?? -1, true);
+        o += ROBOT_BYTES;
+      }
+      const m = f.revealed.length / 2;
+      dv.setUint32(o, m, true); o += 4;
+      for (let i = 0; i < m; i++) {
+        dv.setUint32(o, f.revealed[2*i], true); dv.setInt8(o + 4, f.revealed[2*i + 1]);
+        o += REVEAL_BYTES;
+      }
+      const found = f.found ?? [];
+      dv.setUint8(o, found.length); o += 1;
+      for (const id of found) { dv.setUint16(o, id, true); o += 2; }
+    }
+  }
+  return buf;
+}
+
+export function decodeBinary(buf) {
+  const dv = new DataView(buf instanceof ArrayBuffer ? buf : buf.buffer, buf.byteOffset ?? 0, buf.byteLength);
+  if (dv.byteLength < 12 || dv.getUint32(0, true) !== MAGIC) throw new Error('not a binary replay log');
+  const version = dv.getUint32(4, true), hl = dv.getUint32(8, true);
+  if (version < 1 || version > VERSION) throw new Error(`unsupported replay version ${version}`);
+  const header = JSON.parse(new TextDecoder().decode(new Uint8Array(dv.buffer, dv.byteOffset + 12, hl)));
+  const { plans = [], ...rec } = header;
+  rec.version = version;
+  let o = 12 + hl;
+  for (const p of rec.panels) {
+    const count = dv.getUint32(o, true); o += 4;
+    p.frames = [];
+    for (let k = 0; k < count; k++) {
+      const f = {
+        step: dv.getUint32(o, true), time: dv.getFloat64(o + 4, true),
+        coverage: dv.getFloat32(o + 12, true), dist: dv.getFloat32(o + 16, true),
+        energy: dv.getFloat32(o + 20, true), scanMs: dv.getFloat32(o + 24, true),
+        plan: plans[dv.getInt16(o + 28, true)] ?? null,
+        robots: [], headings: [], goals: [], revealed: [], found: []
+      };
+      const n = dv.getUint8(o + 30); o += 31;
+      for (let r = 0; r < n; r++) {
+        f.robots.push(dv.getUint16(o, true), dv.getUint16(o + 2, true));
+        f.headings.push(dv.getFloat32(o + 4, true));
+        const gx = dv.getInt16(o + 8, true), gy = dv.getInt16(o + 10, true);
+        f.goals.push(gx < 0 ? null : gx, gy < 0 ? null : gy);
+        o += ROBOT_BYTES;
+      }
+      const m = dv.getUint32(o, true); o += 4;
+      for (let i = 0; i < m; i++) { f.revealed.push(dv.getUint32(o, true), dv.getInt8(o + 4)); o += REVEAL_BYTES; }
+      if (version >= 2) {
+        const nf = dv.getUint8(o); o += 1;
+        for (let i = 0; i < nf; i++) { f.found.push(dv.getUint16(o, true)); o += 2; }
+      }
+      p.frames.push(f);
+    }
+  }
+  validate(rec);
+  return rec;
+}
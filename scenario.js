@@ -0,0 +1,198 @@
+// scenario.js (ESM) — no DOM. Scenario files: JSON with an ASCII-art grid.
+// Exports: LEGEND, parseScenario, serializeScenario, blankScenario, scenarioFromSim.
+//
+// {
+//   "name": "Apartment", "target": 0.95, "cellM": 0.5,
+//   "grid": ["#######", "#S..T.#", ...],          // square, row = y, column = x
+//   "hazards": [{ "kind": "fire", "x": 9, "y": 4, "r": 2, "intensity": 0.8 }],
+//   "spawns": [[1, 1]],                              // optional, in addition to 'S' cells
+//   "victims": [{ "x": 5, "y": 3, "detect": { "visual": 0.2, "thermal": 0.9, "audio": 0 } }]
+// }                                                  // optional, in addition to 'V' cells
+// Walls and furniture block the robots; doors, spawns, victims and hazard
+// markers are floor. Fires additionally block a disk of radius r (as generated
+// ones do). A victim's detect values (0–1 per sensor channel) are drawn by the
+// Sim when left out.
+
+const FREE = 0, OBST = 1;
+
+// char → cell meaning; furniture letters become footprints rendered as furniture
+export const LEGEND = {
+  '#': { kind: 'wall' },
+  '.': { kind: 'floor' },
+  'D': { kind: 'door' },
+  'S': { kind: 'spawn' },
+  'V': { kind: 'victim' },
+  'T': { kind: 'furniture', item: 'table' },
+  'B': { kind: 'furniture', item: 'bed' },
+  'O': { kind: 'furniture', item: 'sofa' },
+  'K': { kind: 'furniture', item: 'counter' },
+  'X': { kind: 'furniture', item: 'crate' },
+  'f': { kind: 'hazard', hazard: 'fire' },
+  'g': { kind: 'hazard', hazard: 'gas' },
+  'h': { kind: 'hazard', hazard: 'heat' }
+};
+const HAZARD_R = { fire: 1, gas: 3, heat: 3 };
+const MIN_SIZE = 5, MAX_SIZE = 200;
+
+// → { name, size, target, cellM, grid, gt, furniture, doors, spawns, hazards, victims }
+// gt is x-major (gt[x][y]) like Sim.gt; furniture pieces are { item, x, y, w, h }
+// rectangles (non-rectangular blobs are split into row runs). Throws Error.
+export function parseScenario(input) {
+  const sc = typeof input === 'string' ? JSON.parse(input) : input;
+  if (!sc || typeof sc !== 'object') throw new Error('scenario: expected an object');
+  const rows = typeof sc.grid === 'string' ? sc.grid.split('\n').filter(r => r.length) : sc.grid;
+  if (!Array.isArray(rows) || !rows.length) throw new Error('scenario: grid must be a list of rows');
+  const N = rows.length;
+  if (N < MIN_SIZE || N > MAX_SIZE) throw new Error(`scenario: grid must be ${MIN_SIZE}–${MAX_SIZE} rows, got ${N}`);
+  const issues = [];
+  rows.forEach((r, y) => {
+    if (typeof r !== 'string' || r.length !== N) issues.push(`row ${y}: expected ${N} chars (grid must be square)`);
+    else for (let x = 0; x < N; x++) if (!(r[x] in LEGEND)) issues.push(`row ${y}, col ${x}: unknown cell ${JSON.stringify(r[x])}`);
+  });
+  if (issues.length) throw new Error('scenario: ' + issues.slice(0, 8).join('; '));
+
+  const at = (x, y) => LEGEND[rows[y][x]];
+  const gt = Array.from({ length: N }, (_, x) => Array.from({ length: N }, (_, y) => {
+    const k = at(x, y).kind;
+    return k === 'wall' || k === 'furniture' ? OBST : FREE;
+  }));
+  const doors = [], spawns = [], hazards = [], victims = [];
+  for (let y = 0; y < N; y++) for (let x = 0; x < N; x++) {
+    const c = at(x, y);
+    if (c.kind === 'door') doors.push([x, y]);
+    else if (c.kind === 'spawn') spawns.push([x, y]);
+    else if (c.kind === 'victim') victims.push({ x, y });
+    else if (c.kind === 'hazard') hazards.push({ kind: c.hazard, x, y, r: HAZARD_R[c.hazard], intensity: 0.8 });
+  }
+  for (const s of sc.spawns ?? []) {
+    if (!Array.isArray(s) || !inGrid(s[0], s[1], N)) throw new Error(`scenario: bad spawn ${JSON.stringify(s)}`);
+    spawns.push([s[0], s[1]]);
+  }
+  for (const h of sc.hazards ?? []) {
+    if (!h || !(h.kind in HAZARD_R) || !inGrid(h.x, h.y, N)) throw new Error(`scenario: bad hazard ${JSON.stringify(h)}`);
+    hazards.push({ kind: h.kind, x: h.x, y: h.y, r: h.r ?? HAZARD_R[h.kind], intensity: h.intensity ?? 0.8 });
+  }
+  for (const v of sc.victims ?? []) {
+    if (!v || !inGrid(v.x, v.y, N)) throw new Error(`scenario: bad victim ${JSON.stringify(v)}`);
+    victims.push(v.detect ? { x: v.x, y: v.y, detect: { ...v.detect } } : { x: v.x, y: v.y });
+  }
+  if (!spawns.length) throw new Error("scenario: no spawn point ('S' cell or spawns list)");
+  for (const [x, y] of spawns) if (gt[x][y] === OBST) throw new Error(`scenario: spawn ${x},${y} is blocked`);
+  // a victim on a wall, furniture or inside a fire disk can never be reached
+  const inFire = (x, y) => hazards.some(h => h.kind === 'fire' && (x - h.x) ** 2 + (y - h.y) ** 2 <= h.r * h.r);
+  for (const { x, y } of victims) if (gt[x][y] === OBST || inFire(x, y)) throw new Error(`scenario: victim ${x},${y} is blocked`);
+
+  return {
+    name: sc.name ?? 'Untitled',
+    size: N,
+    target: sc.target ?? 0.95,
+    cellM: sc.cellM ?? 0.5,
+    grid: rows.slice(),
+    gt,
+    furniture: furniturePieces(rows, N),
+    doors, spawns, hazards, victims
+  };
+}
+
+const inGrid = (x, y, N) => Number.isInteger(x) && Number.isInteger(y) && x >= 0 && y >= 0 && x < N && y < N;
+
+// Connected blobs of the same furniture letter → rectangles.
+function furniturePieces(rows, N) {
+  const seen = new Uint8Array(N * N), out = [];
+  for (let y = 0; y < N; y++) for (let x = 0; x < N; x++) {
+    const ch = rows[y][x];
+    if (LEGEND[ch].kind !== 'furniture' || seen[y * N + x]) continue;
+    const blob = [], stack = [[x, y]];
+    seen[y * N + x] = 1;
+    while (stack.length) {
+      const [cx, cy] = stack.pop();
+      blob.push([cx, cy]);
+      for (const [nx, ny] of [[cx+1, cy], [cx-1, cy], [cx, cy+1], [cx, cy-1]]) {
+        if (!inGrid(nx, ny, N) || seen[ny * N + nx] || rows[ny][nx] !== ch) continue;
+        seen[ny * N + nx] = 1; stack.push([nx, ny]);
+      }
+    }
+    const xs = blob.map(c => c[0]), ys = blob.map(c => c[1]);
+    const x0 = Math.min(...xs), y0 = Math.min(...ys), w = Math.max(...xs) - x0 + 1, h = Math.max(...ys) - y0 + 1;
+    const item = LEGEND[ch].item;
+    if (blob.length === w * h) { out.push({ item, x: x0, y: y0, w, h }); continue; }
+    for (let yy = y0; yy < y0 + h; yy++) {
+      const row = blob.filter(c => c[1] === yy).map(c => c[0]).sort((a, b) => a - b);
+      for (let i = 0; i < row.length;) {
+        let j = i;
+        while (j + 1 < row.length && row[j + 1] === row[j] + 1) j++;
+        out.push({ item, x: row[i], y: yy, w: row[j] - row[i] + 1, h: 1 });
+        i = j + 1;
+      }
+    }
+  }
+  return out;
+}
+
+// Parsed (or raw) scenario → plain JSON object for saving.
+export function serializeScenario(sc) {
+  const out = { name: sc.name ?? 'Untitled', target: sc.target ?? 0.95, cellM: sc.cellM ?? 0.5, grid: sc.grid.slice() };
+  if (sc.hazards?.length && !sc.gt) out.hazards = sc.hazards.map(h => ({ ...h }));  // raw: keep the explicit list
+  if (sc.spawns?.length && !sc.gt) out.spawns = sc.spawns.map(s => s.slice());
+  if (sc.victims?.length && !sc.gt) out.victims = sc.victims.map(v => ({ ...v }));
+  return out;
+}
+
+// Walled N×N room with a spawn in the corner.
+export function blankScenario(N = 26, name = 'Untitled') {
+  const grid = [];
+  for (let y = 0; y < N; y++) {
+    let r = '';
+    for (let x = 0; x < N; x++) r += (x === 0 || y === 0 || x === N-1 || y === N-1) ? '#' : '.';
+    grid.push(r);
+  }
+  grid[1] = '#S' + grid[1].slice(2);
+  return { name, target: 0.95, cellM: 0.5, grid };
+}
+
+// The layout a Sim is running (generated or loaded) as a scenario: obstacles
+// become walls (fire disks stay floor; fires are listed as hazards), the
+// robots' docks become spawns and victims keep their detectability. With a
+// dynamic world the static layout is exported (the world's initial ground
+// truth and hazards): people, debris, shut doors and spread fire are not walls.
+export function scenarioFromSim(sim, name = 'From sim') {
+  const N = sim.cfg.size;
+  const { gt, hazards } = sim.world?.initial ?? sim;
+  const fire = new Uint8Array(N * N);
+  for (const h of hazards) {
+    if (h.kind !== 'fire') continue;
+    for (let dx = -h.r; dx <= h.r; dx++) for (let dy = -h.r; dy <= h.r; dy++)
+      if (dx*dx + dy*dy <= h.r*h.r && inGrid(h.x+dx, h.y+dy, N)) fire[(h.y+dy) * N + h.x+dx] = 1;
+  }
+  const furn = new Map();
+  for (const p of sim.layout?.furniture ?? []) {
+    const ch = Object.keys(LEGEND).find(k => LEGEND[k].item === p.item);
+    for (let x = p.x; x < p.x + p.w; x++) for (let y = p.y; y < p.y + p.h; y++) furn.set(y * N + x, ch);
+  }
+  const doors = new Set((sim.layout?.doors ?? []).map(([x, y]) => y * N + x));
+  const grid = [];
+  for (let y = 0; y < N; y++) {
+    let r = '';
+    for (let x = 0; x < N; x++) {
+      const id = y * N + x;
+      r += furn.get(id) ?? (doors.has(id) ? 'D' : (gt[x][y] === OBST && !fire[id] ? '#' : '.'));
+    }
+    grid.push(r);
+  }
+  const docks = sim.docks ?? sim.robots;
+  const spawns = [];
+  for (const [x, y] of docks) {
+    if (grid[y][x] === '#') continue;   // generated spawns can sit in the perimeter
+    if (!spawns.some(s => s[0] === x && s[1] === y)) spawns.push([x, y]);
+  }
+  for (const [x, y] of spawns) grid[y] = grid[y].slice(0, x) + 'S' + grid[y].slice(x + 1);
+  if (!spawns.length) {
+    const [x, y] = docks[0];
+    grid[y] = grid[y].slice(0, x) + 'S' + grid[y].slice(x + 1);
+  }
+  return {
+    name, target: sim.cfg.target, cellM: sim.cfg.cellM, grid,
+    hazards: hazards.map(({ kind, x, y, r, intensity }) => ({ kind, x, y, r, intensity })),
+    victims: (sim.victims ?? []).map(({ x, y, detect }) => ({ x, y, detect: { ...detect } }))
+  };
+}
@@ -17,7 +17,7 @@ class Candidate(BaseModel):
     steps: Any | None = None  # plan as nested list (optional)
 
 class RerankIn(BaseModel):
-    ctx: Dict[str, Any]  # {size, clutter, heat, gas, noise}
+    ctx: Dict[str, Any]  # {size (explored m²), clutter, heat, gas, noise (0..1)}
     candidates: List[Candidate]
 
 app = FastAPI()
@@ -25,17 +25,10 @@ app.add_middleware(
     CORSMiddleware, allow_origins=["*"], allow_methods=["*"], allow_headers=["*"]
 )
 
-#    “/scored.json”, “/good_rewrites.json”, etc. all work:
-app.mount(
-    "/",
-    StaticFiles(directory="..", html=True),
-    name="static",
-)
-
 @app.post("/api/rerank")
 async def rerank(req: RerankIn):
     lines = [
-        f"CTX: {req.ctx.get('size'):.1f},{req.ctx.get('clutter'):.2f},{int(bool(req.ctx.get('heat')))},{int(bool(req.ctx.get('gas')))}, {int(bool(req.ctx.get('noise')))}",
+        f"CTX: {req.ctx.get('size', 0):.1f},{req.ctx.get('clutter', 0):.2f},{req.ctx.get('heat', 0):.2f},{req.ctx.get('gas', 0):.2f},{req.ctx.get('noise', 0):.2f}",
         "GOAL: pick best tradeoff of speed vs hazard. Prefer lower pred_ms unless heat/gas imply sensing first. Avoid redundant waits.",
         JSON_ONLY, "CANDIDATES:"
     ]
@@ -66,3 +59,11 @@ async def rerank(req: RerankIn):
         return out
     except Exception as e:
         return []  # graceful fallback
+
+# Mounted after the API route so the static catch-all does not shadow POST /api/rerank;
+#    “/scored.json”, “/good_rewrites.json”, etc. all work:
+app.mount(
+    "/",
+    StaticFiles(directory="..", html=True),
+    name="static",
+)
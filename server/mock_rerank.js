@@ -0,0 +1,178 @@
+// mock_rerank.js (ESM, Node) — offline stand-in for gemma_proxy.py. No deps.
+// Same contract: POST /api/rerank { ctx: {size, clutter, heat, gas, noise},
+// candidates: [{ index, pred_ms, steps? }] } → JSON list of candidate indices.
+// steps (plan groups of SENSOR_ACTIONS names) is optional, but hazard ranks a
+// candidate without valid steps after every one it can cost, by pred_ms.
+// Everything else is served as static files from the repo root, so the whole
+// demo runs without Python or a model.
+//
+// Usage:
+//   node server/mock_rerank.js --port 8000 --strategy hazard
+//   node server/mock_rerank.js --strategy replay --replay orders.json
+//   node server/mock_rerank.js --latency 3000 --jitter 2000 --failRate 0.3
+//
+// Strategies: pred_ms (fastest first), hazard (rankPlans from simlib.js on the
+// sent ctx), replay (orders from a JSON file, in turn). Latency/jitter (ms)
+// delay every answer; failRate answers with HTTP 500 and emptyRate with [] (the
+// proxy's own fallback) at that probability.
+import { createServer } from 'node:http';
+import { readFileSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import { extname, join, resolve, sep } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { rankPlans } from '../simlib.js';
+
+const ROOT = resolve(fileURLToPath(new URL('..', import.meta.url)));
+const MIME = {
+  '.html': 'text/html; charset=utf-8', '.js': 'text/javascript; charset=utf-8', '.json': 'application/json',
+  '.css': 'text/css', '.png': 'image/png', '.jpg': 'image/jpeg', '.svg': 'image/svg+xml',
+  '.glb': 'model/gltf-binary', '.gltf': 'model/gltf+json', '.bin': 'application/octet-stream'
+};
+const CORS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': '*'
+};
+
+function parseArgs(argv) {
+  const opts = {
+    port: '8000', host: 'localhost', strategy: 'pred_ms', replay: null, root: ROOT,
+    latency: '0', jitter: '0', failRate: '0', emptyRate: '0', quiet: false
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith('--')) throw new Error(`unexpected argument: ${a}`);
+    const key = a.slice(2);
+    if (!(key in opts)) throw new Error(`unknown option: ${a}`);
+    if (typeof opts[key] === 'boolean') { opts[key] = true; continue; }
+    if (i + 1 >= argv.length) throw new Error(`missing value for ${a}`);
+    opts[key] = argv[++i];
+  }
+  return opts;
+}
+
+// Each strategy maps a validated request to an ordering of candidate indices.
+export const strategies = {
+  pred_ms: ({ candidates }) =>
+    [...candidates].sort((a, b) => a.pred_ms - b.pred_ms).map(c => c.index),
+  // Same context-aware cost the demo uses locally (heat → thermal, gas → sniffer, ...)
+  hazard: ({ ctx, candidates }) => {
+    const num = (v) => (typeof v === 'number' ? v : v ? 1 : 0);
+    const c = { clutter: num(ctx.clutter), heat: num(ctx.heat), gas: num(ctx.gas), noise: num(ctx.noise) };
+    const cands = [...candidates].sort((a, b) => a.pred_ms - b.pred_ms).map(k => ({ ...k, plan: k.steps }));
+    return rankPlans(cands, c).map(r => r.candidate.index);
+  }
+};
+
+// Replays recorded orders in turn: a JSON list of index lists (or of { order }).
+// Unknown indices are dropped, missing ones appended in pred_ms order.
+export function replayStrategy(orders) {
+  if (!Array.isArray(orders) || !orders.length) throw new Error('replay file must be a non-empty JSON list');
+  let k = 0;
+  return (req) => {
+    const rec = orders[k++ % orders.length];
+    const order = Array.isArray(rec) ? rec : rec?.order;
+    const ids = new Set(req.candidates.map(c => c.index));
+    const out = (order ?? []).filter(i => ids.has(i));
+    for (const i of strategies.pred_ms(req)) if (!out.includes(i)) out.push(i);
+    return out;
+  };
+}
+
+// Mirrors the pydantic models of gemma_proxy.py; returns an error string or null.
+function validate(body) {
+  if (!body || typeof body !== 'object') return 'body must be a JSON object';
+  if (!body.ctx || typeof body.ctx !== 'object' || Array.isArray(body.ctx)) return 'ctx must be an object';
+  if (!Array.isArray(body.candidates)) return 'candidates must be a list';
+  for (const c of body.candidates) {
+    if (!Number.isInteger(c?.index)) return 'candidate.index must be an integer';
+    if (typeof c.pred_ms !== 'number' || !Number.isFinite(c.pred_ms)) return 'candidate.pred_ms must be a number';
+  }
+  return null;
+}
+
+function send(res, status, body, type = 'application/json') {
+  res.writeHead(status, { ...CORS, 'Content-Type': type });
+  res.end(type === 'application/json' ? JSON.stringify(body) : body);
+}
+
+async function serveStatic(root, req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  let path = decodeURIComponent(url.pathname);
+  if (path.endsWith('/')) path += 'index.html';
+  const file = resolve(join(root, path));
+  if (file !== root && !file.startsWith(root + sep)) return send(res, 403, 'forbidden', 'text/plain');
+  try {
+    const data = await readFile(file);
+    send(res, 200, data, MIME[extname(file).toLowerCase()] ?? 'application/octet-stream');
+  } catch {
+    send(res, 404, 'not found', 'text/plain');
+  }
+}
+
+async function readJSON(req) {
+  let raw = '';
+  for await (const chunk of req) raw += chunk;
+  return JSON.parse(raw);
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// opts: { strategy: fn | name, root, latency, jitter, failRate, emptyRate, log }
+export function createRerankServer(opts = {}) {
+  const rank = typeof opts.strategy === 'function' ? opts.strategy : strategies[opts.strategy ?? 'pred_ms'];
+  if (!rank) throw new Error(`unknown strategy: ${opts.strategy}`);
+  const root = resolve(opts.root ?? ROOT);
+  const latency = opts.latency ?? 0, jitter = opts.jitter ?? 0;
+  const failRate = opts.failRate ?? 0, emptyRate = opts.emptyRate ?? 0;
+  const log = opts.log ?? (() => {});
+
+  return createServer(async (req, res) => {
+    try {
+      if (req.method === 'OPTIONS') { res.writeHead(204, CORS); return res.end(); }
+      if (new URL(req.url, 'http://localhost').pathname !== '/api/rerank') {
+        if (req.method !== 'GET' && req.method !== 'HEAD') return send(res, 405, 'method not allowed', 'text/plain');
+        return serveStatic(root, req, res);
+      }
+      if (req.method !== 'POST') return send(res, 405, { detail: 'Method Not Allowed' });
+      let body;
+      try { body = await readJSON(req); } catch { return send(res, 422, { detail: 'invalid JSON' }); }
+      const err = validate(body);
+      if (err) return send(res, 422, { detail: err });
+
+      const delay = latency + jitter * Math.random();
+      if (delay > 0) await sleep(delay);
+      if (Math.random() < failRate) { log('rerank → 500 (injected)'); return send(res, 500, { detail: 'injected failure' }); }
+      if (Math.random() < emptyRate) { log('rerank → [] (injected)'); return send(res, 200, []); }
+      const order = rank(body);
+      log(`rerank ctx=${JSON.stringify(body.ctx)} → ${JSON.stringify(order)} (${Math.round(delay)} ms)`);
+      send(res, 200, order);
+    } catch (e) {
+      log(`error: ${e.message}`);
+      if (!res.headersSent) send(res, 500, { detail: e.message });
+    }
+  });
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  let strategy = opts.strategy;
+  if (strategy === 'replay') {
+    if (!opts.replay) throw new Error('--strategy replay needs --replay <file.json>');
+    strategy = replayStrategy(JSON.parse(readFileSync(opts.replay, 'utf8')));
+  } else if (!strategies[strategy]) {
+    throw new Error(`unknown strategy: ${strategy} (pred_ms, hazard, replay)`);
+  }
+  const server = createRerankServer({
+    strategy, root: opts.root,
+    latency: +opts.latency, jitter: +opts.jitter, failRate: +opts.failRate, emptyRate: +opts.emptyRate,
+    log: opts.quiet ? undefined : (m) => console.log(`[mock] ${m}`)
+  });
+  server.listen(+opts.port, opts.host, () =>
+    console.log(`[mock] rerank (${opts.strategy}) + static ${resolve(opts.root)} on http://${opts.host}:${opts.port}/`));
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  try { main(); }
+  catch (e) { console.error(`[mock] ${e.message}`); process.exit(1); }
+}
@@ -1,4 +1,8 @@
-// simlib.js (ESM) — library-only (no DOM). Exports: Sim, policies.
+// simlib.js (ESM) — library-only (no DOM). Exports: Sim, policies (+ the policy
+// registry: POLICIES, SCORE_TERMS, registerPolicy, registerScoreTerm, policyParams).
+import { parseScenario } from './scenario.js';
+import { LAYOUTS, generateLayout } from './layouts.js';
+import { World, worldEnabled } from './world.js';
 const FREE = 0, OBST = 1, UNK = -1;
 const EPS_JITTER = 0;
 export function vantageForFrontier(sim, rx, ry, fx, fy) {
@@ -23,8 +27,8 @@ export function bfsDist(sim, sx, sy, tx, ty) {
   const q = [[sx, sy, 0]];
   seen[enc(sx, sy)] = 1;
   const dirs = [[1,0],[-1,0],[0,1],[0,-1]];
-  while (q.length) {
-    const [x, y, d] = q.shift();
+  for (let head = 0; head < q.length; head++) {
+    const [x, y, d] = q[head];
     if (x === tx && y === ty) return d;
     for (const [dx, dy] of dirs) {
       const nx = x + dx, ny = y + dy;
@@ -37,20 +41,228 @@ export function bfsDist(sim, sx, sy, tx, ty) {
   return null;
 }
     
+// BFS distance field from (sx,sy) over sim.gt (same metric as bfsDist).
+// Returns an Int32Array indexed y*N+x; -1 marks unreachable cells.
+export function distanceField(sim, sx, sy) {
+  const N = sim.cfg.size;
+  const dist = new Int32Array(N * N).fill(-1);
+  const q = new Int32Array(N * N);
+  let head = 0, tail = 0;
+  dist[sy * N + sx] = 0; q[tail++] = sy * N + sx;
+  while (head < tail) {
+    const id = q[head++], x = id % N, y = (id - x) / N, d = dist[id] + 1;
+    if (x + 1 < N  && dist[id + 1] < 0 && sim.gt[x + 1][y] !== OBST) { dist[id + 1] = d; q[tail++] = id + 1; }
+    if (x - 1 >= 0 && dist[id - 1] < 0 && sim.gt[x - 1][y] !== OBST) { dist[id - 1] = d; q[tail++] = id - 1; }
+    if (y + 1 < N  && dist[id + N] < 0 && sim.gt[x][y + 1] !== OBST) { dist[id + N] = d; q[tail++] = id + N; }
+    if (y - 1 >= 0 && dist[id - N] < 0 && sim.gt[x][y - 1] !== OBST) { dist[id - N] = d; q[tail++] = id - N; }
+  }
+  return dist;
+}
+
 export class Sim {
   constructor(cfg) {
+    // cfg.scenario: scenario JSON (see scenario.js) instead of a generated layout
+    const sc = cfg.scenario ? parseScenario(cfg.scenario) : null;
     this.cfg = {
-      size: cfg.size ?? 80,
+      size: sc ? sc.size : (cfg.size ?? 80),
       obstacleProb: cfg.obstacleProb ?? 0.08,
       nRobots: cfg.nRobots ?? 2,
       robotSpeed: cfg.robotSpeed ?? 1.0,
       infoRadius: cfg.infoRadius ?? 4,
-      target: cfg.target ?? 0.95,
+      target: sc?.target ?? cfg.target ?? 0.95,     // a scenario brings its own target
       maxSteps: cfg.maxSteps ?? 25000,
       seed: cfg.seed ?? 0,
-      simpleRoom: !!cfg.simpleRoom
+      cellM: sc?.cellM ?? cfg.cellM ?? 0.5,         // metres per grid cell (context / areas)
+      simpleRoom: !!cfg.simpleRoom || cfg.layout === 'simple',
+      // generated layout: 'random' clutter, 'simple' (= simpleRoom) or a
+      // procedural building from layouts.js ('bsp', 'corridors', 'apartment')
+      layout: sc ? 'scenario' : (cfg.layout ?? (cfg.simpleRoom ? 'simple' : 'random')),
+      doorWidth: cfg.doorWidth ?? 2,
+      corridorWidth: cfg.corridorWidth ?? 2,
+      deadEnds: cfg.deadEnds ?? 0.3,        // share of corridor dead ends kept
+      minRoom: cfg.minRoom ?? null,         // null = size / 7
+      // hazard sources (fires block cells; gas/heat are non-blocking fields)
+      fires: cfg.fires ?? 0,
+      gasSources: cfg.gasSources ?? 0,
+      heatSources: cfg.heatSources ?? 0,
+      fireRadius: cfg.fireRadius ?? 2,
+      // line-of-sight sensor: range in cells, field of view (rad) around the
+      // heading, per-ray dropout probability
+      sensorRange: cfg.sensorRange ?? 3,
+      sensorFov: Math.min(2*Math.PI, cfg.sensorFov ?? 2*Math.PI),
+      sensorDropout: cfg.sensorDropout ?? 0,
+      // optional probabilistic occupancy grid (log-odds per cell)
+      occupancy: !!cfg.occupancy,
+      pHit: cfg.pHit ?? 0.85,          // P(occupied | hit) update
+      pMiss: cfg.pMiss ?? 0.3,         // P(occupied | miss) update
+      falsePos: cfg.falsePos ?? 0,     // free cell reads as a hit
+      falseNeg: cfg.falseNeg ?? 0,     // obstacle reads as a miss
+      occThresh: cfg.occThresh ?? 0.65,   // p above → OBST
+      freeThresh: cfg.freeThresh ?? 0.35, // p below → FREE, otherwise UNK
+      logOddsClamp: cfg.logOddsClamp ?? 6,
+      // battery per robot in J (Infinity = no battery) and power draw in W
+      batteryJ: cfg.batteryJ ?? Infinity,
+      motionW: cfg.motionW ?? 20,           // driving
+      idleW: cfg.idleW ?? 2,                // electronics, drawn whenever the robot acts
+      sensorWatts: { ...cfg.sensorWatts },  // per-action overrides of SENSOR_ACTIONS watts
+      rechargeW: cfg.rechargeW ?? 200,      // charging rate at the dock
+      returnReserve: cfg.returnReserve ?? 1.25, // margin on the energy of the trip home
+      // time-varying world (world.js), per tick of worldTick s of sim time:
+      // fire spread / burn-out probabilities per burning cell, door close /
+      // reopen probabilities, walking people, chance of new debris; mapped
+      // cells unobserved for staleAfter s become unknown again, obstacles that
+      // can go away (fire, doors, people) already after transientAfter s, so
+      // a robot that saw a door shut comes back to try it
+      worldTick: cfg.worldTick ?? 2,
+      fireSpread: cfg.fireSpread ?? 0,
+      fireBurnout: cfg.fireBurnout ?? 0,
+      doorClose: cfg.doorClose ?? 0,
+      doorOpen: cfg.doorOpen ?? 0.05,
+      movers: cfg.movers ?? 0,
+      debrisRate: cfg.debrisRate ?? 0,
+      staleAfter: cfg.staleAfter ?? Infinity,
+      transientAfter: cfg.transientAfter ?? 60,
+      victims: cfg.victims ?? 0,            // hidden victims to find (a scenario lists its own)
+      endOn: cfg.endOn ?? 'coverage',       // 'coverage' | 'victims' | 'targets' (see done())
+      searchWeight: cfg.searchWeight ?? 0.5 // policies.search: 0 = map gain only, 1 = search only
     };
     this._rng = mulberry32(this.cfg.seed);
+    // Streams for draws made while running (see _rand): each A/B clone
+    // continues its own copy, so one panel's draws never shift the other's.
+    this._seeds = {
+      dropout: (this.cfg.seed ^ 0x2d5f0a93) >>> 0,   // castRays
+      noise: (this.cfg.seed ^ 0x4e0153a7) >>> 0,     // _observe false hits/misses
+      nbv: (this.cfg.seed ^ 0x6b5ee5d1) >>> 0        // policies.nbv pose samples
+    };
+    const N = this.cfg.size;
+    this.map = Array.from({ length: N }, () => Array.from({ length: N }, () => UNK)); // obstacles NOT known initially
+    this.logOdds = this.cfg.occupancy ? new Float32Array(N * N) : null;
+    if (sc) this._loadScenario(sc);
+    else if (this.cfg.layout in LAYOUTS) this._buildingLayout();
+    else if (this.cfg.layout === 'random' || this.cfg.layout === 'simple') this._generateLayout();
+    else throw new Error(`unknown layout ${JSON.stringify(this.cfg.layout)}`);
+    for (const [x, y] of this.robots) {
+      // every robot starts on a known free cell
+      this.map[x][y] = this.gt[x][y];
+      if (this.logOdds) this.logOdds[y * N + x] = -this.cfg.logOddsClamp;
+    }
+    this._seenBy = new Uint8Array(N * N);  // bitmask of robots (up to 8) that observed each cell
+    this.time = 0;
+    this.step = 0;
+    this._dist = Array(this.robots.length).fill(0);
+    this._trails = this.robots.map(r => [r.slice()]);   // cells each robot has driven through
+    this._energy = Array(this.robots.length).fill(0);   // energy used (J) per robot
+    this.energyLog = this.robots.map(() => ({ motion: 0, sensing: 0, idle: 0 }));
+    this.docks = this.robots.map(r => r.slice());         // spawn cells double as charging docks
+    this.battery = Array(this.robots.length).fill(this.cfg.batteryJ);
+    this.recharges = Array(this.robots.length).fill(0);
+    this._returning = Array(this.robots.length).fill(false);
+    this.readings = this.robots.map(() => ({ thermal: 0, gas: 0, audio: 0 }));
+    this.lastScan = Array(this.robots.length).fill(null);
+    this.detections = [];           // {t, step, robot, hazard, kind, sensor}
+    this._detected = new Set();     // hazard ids already detected
+    this._paths = Array(this.robots.length).fill(null); // cached {goal, cells} per robot
+    this.headings = Array(this.robots.length).fill(0);   // grid angle: (cos θ, sin θ) = (dx, dy)
+    this._gtVersion = 0;                                  // bumped whenever gt changes
+    this._fields = Array(this.robots.length).fill(null); // cached distance fields
+    this.replans = Array(this.robots.length).fill(0);    // cached paths dropped because they got blocked
+    const dynamic = worldEnabled(this.cfg);
+    this._seenAt = dynamic ? new Float64Array(N * N) : null; // last observation of each cell (s)
+    this._transient = dynamic ? new Set() : null;           // cells whose obstacle can go away
+    this.world = dynamic ? new World(this) : null;
+    // Victims draw from their own stream so layouts and sensor noise are the
+    // same with and without them.
+    this._vseed = (this.cfg.seed ^ 0x71c7e5a1) >>> 0;
+    this.victims = sc?.victims.length
+      ? sc.victims.map((v, id) => ({ id, x: v.x, y: v.y, detect: v.detect ?? this._victimDetect() }))
+      : this._placeVictims(this.cfg.victims);
+    this._victimAt = new Map(this.victims.map(v => [v.y*N + v.x, v]));
+    this._found = new Set();        // victim ids detected
+    this._searched = new Uint8Array(N * N); // LiDAR / thermal looks per cell
+    this._rebuildFrontiers();
+  }
+  // Free cells reachable from robot 0, out of sensor range of every dock.
+  _placeVictims(n){
+    if (!(n > 0)) return [];
+    const N=this.cfg.size, [sx,sy]=this.robots[0], seen=new Uint8Array(N*N), q=[[sx,sy]], cand=[];
+    seen[sy*N+sx]=1;
+    for (let h=0; h<q.length; h++){
+      const [x,y]=q[h];
+      if (this.docks.every(([dx,dy]) => Math.hypot(x-dx, y-dy) > this.cfg.sensorRange)) cand.push([x,y]);
+      for (const [nx,ny] of this._neighbors4(x,y)){
+        if (seen[ny*N+nx] || this.gt[nx][ny]===OBST) continue;
+        seen[ny*N+nx]=1; q.push([nx,ny]);
+      }
+    }
+    const out=[];
+    while (out.length < n && cand.length){
+      const [x,y]=cand.splice(Math.floor(this._vrand()*cand.length), 1)[0];
+      out.push({ id: out.length, x, y, detect: this._victimDetect() });
+    }
+    return out;
+  }
+  // Per-channel detectability (0–1): visual for LiDAR/camera (low when buried),
+  // thermal from body heat, audio only when the victim can call out.
+  _victimDetect(){
+    const r=()=>this._vrand();
+    return {
+      visual: r() < 0.25 ? 0.15 : 0.5 + 0.4*r(),
+      thermal: 0.6 + 0.4*r(),
+      audio: r() < 0.5 ? 0.4 + 0.5*r() : 0
+    };
+  }
+  // mulberry32 on a plain number so A/B clones continue the same stream
+  _vrand(){
+    let t = this._vseed = (this._vseed + 0x6D2B79F5) >>> 0;
+    t = Math.imul(t ^ t >>> 15, t | 1);
+    t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  }
+  // Robot i's sensor on `channel` ('visual' | 'thermal' | 'audio') gets one
+  // chance at victim v: detectability, halved at the edge of the range.
+  _tryVictim(i, v, channel, range, sensor, detected){
+    if (this._found.has(v.id)) return;
+    const [rx,ry]=this.robots[i];
+    const p=(v.detect[channel] ?? 0) * (1 - 0.5*Math.min(1, Math.hypot(v.x-rx, v.y-ry)/range));
+    if (!(p > 0) || this._vrand() >= p) return;
+    this._found.add(v.id);
+    detected.push(v);
+    this.detections.push({ t: this.time, step: this.step, robot: i, victim: v.id, kind: 'victim', sensor });
+  }
+  // LOS visitor for a victim-seeking sensor: marks cells searched (once per
+  // sweep; rays overlap near the robot) and collects the victims in view
+  // (checked once each after the sweep).
+  _victimLook(inView){
+    const N=this.cfg.size, swept=new Set();
+    return (x,y) => {
+      const id=y*N+x;
+      if (swept.has(id)) return;
+      swept.add(id);
+      if (this._searched[id]<255) this._searched[id]++;
+      const v=this._victimAt.get(id);
+      if (v) inView.add(v);
+    };
+  }
+  victimStats(){
+    const t=this.detections.filter(d => d.kind==='victim').map(d => d.t);
+    const total=this.victims.length, found=this._found.size;
+    return {
+      total, found, rate: total ? found/total : null, foundIds: [...this._found],
+      first: t.length ? t[0] : null, all: total && found===total ? t[t.length-1] : null
+    };
+  }
+  // End condition: 'coverage' reaches cfg.target; 'victims' all victims found;
+  // 'targets' all victims and every hazard source (fires that went out aside).
+  // Without anything to find, coverage decides.
+  done(){
+    const c=this.cfg, allVictims=this._found.size>=this.victims.length;
+    const allHazards=this.hazards.every(h => this._detected.has(h.id) || h.out);
+    if (c.endOn==='victims' && this.victims.length) return allVictims;
+    if (c.endOn==='targets' && (this.victims.length || this.hazards.length)) return allVictims && allHazards;
+    return this.coverage() >= c.target;
+  }
+  // Random clutter layout (or the simple two-room one), hazards and corner spawns.
+  _generateLayout(){
     const N = this.cfg.size;
     this.gt = Array.from({ length: N }, () =>
       Array.from({ length: N }, () => (this._rng() < this.cfg.obstacleProb ? OBST : FREE))
@@ -85,32 +297,264 @@ export class Sim {
       for (let x = 1; x < N-1; x++) this.gt[x][mid] = FREE;
       for (let y = 1; y < N-1; y++) this.gt[mid][y] = FREE;
     }
-    this.map = Array.from({ length: N }, () => Array.from({ length: N }, () => UNK)); // obstacles NOT known initially
     const s = Math.max(2, Math.floor(N / 10));
     // Ensure a clear 2–3 cell patch around spawn for valid frontiers
     for (let x = 0; x < Math.min(3, N); x++)
       for (let y = 0; y < Math.min(3, N); y++)
         this.gt[x][y] = FREE;
-    for (let x = 0; x < s; x++) for (let y = 0; y < s; y++) this.map[x][y] = this.gt[x][y];
-    this.robots = Array.from({ length: Math.max(1, this.cfg.nRobots) }, (_, i) => i === 0 ? [0,0] : [s-1, s-1]);
-    this.time = 0;
-    this.step = 0;
-    this._dist = Array(this.robots.length).fill(0);
+    this.hazards = this._placeHazards(s);
+    for (let x = 0; x < s; x++) for (let y = 0; y < s; y++) this._know(x, y);
+    this.robots = this._spawnPoints(Math.max(1, this.cfg.nRobots), s);
+    const doorway = this.cfg.simpleRoom ? [-1, 0, 1].map(k => [mid, mid+k]) : [];
+    this.layout = { furniture: [], doors: doorway };
+  }
+  // Procedural building (layouts.js) from the same RNG stream; robots start
+  // around (1,1) inside the first room.
+  _buildingLayout(){
+    const N = this.cfg.size, c = this.cfg;
+    const L = generateLayout(c.layout, N, this._rng,
+      { doorWidth: c.doorWidth, corridorWidth: c.corridorWidth, deadEnds: c.deadEnds, minRoom: c.minRoom });
+    this.gt = L.gt;
+    const s = Math.max(2, Math.floor(N / 10));
+    this.hazards = this._placeHazards(s + 1);
+    for (let x = 0; x <= s; x++) for (let y = 0; y <= s; y++) this._know(x, y);
+    this.robots = this._spawnNear(Math.max(1, c.nRobots), 1, 1);
+    this.layout = { furniture: L.furniture, doors: L.doors };
+  }
+  // Scenario layout: gt, hazards and spawns as given; robots are dealt to the
+  // spawn cells in turn and each spawn's 3×3 neighbourhood starts known.
+  _loadScenario(sc){
+    const N = this.cfg.size;
+    this.gt = sc.gt.map(col => col.slice());
+    this.hazards = sc.hazards.map((h, id) => ({ id, ...h }));
+    for (const h of this.hazards) {
+      if (h.kind !== 'fire') continue;
+      for (let dx=-h.r; dx<=h.r; dx++) for (let dy=-h.r; dy<=h.r; dy++) {
+        const x=h.x+dx, y=h.y+dy;
+        if (dx*dx+dy*dy <= h.r*h.r && x>=0 && y>=0 && x<N && y<N) this.gt[x][y] = OBST;
+      }
+    }
+    const spawns = sc.spawns.filter(([x, y]) => this.gt[x][y] === FREE);
+    if (!spawns.length) throw new Error('scenario: every spawn is inside a fire');
+    this.robots = Array.from({ length: Math.max(1, this.cfg.nRobots) }, (_, i) => spawns[i % spawns.length].slice());
+    for (const [x, y] of spawns)
+      for (let dx=-1; dx<=1; dx++) for (let dy=-1; dy<=1; dy++)
+        if (x+dx>=0 && y+dy>=0 && x+dx<N && y+dy<N) this._know(x+dx, y+dy);
+    this.layout = { name: sc.name, furniture: sc.furniture, doors: sc.doors };  // for rendering
+  }
+  _know(x, y){   // start with cell x,y known exactly
+    this.map[x][y] = this.gt[x][y];
+    if (this.logOdds) this.logOdds[y * this.cfg.size + x] = (this.gt[x][y] === OBST ? 1 : -1) * this.cfg.logOddsClamp;
   }
   cloneForAB() {
-    // Pure clone: shares RNG, GT, map, robot poses, distance & time counters
+    // Pure clone: shares RNG; copies GT, map, robot poses, distance & time
+    // counters and the running streams (_seeds)
     const b = Object.create(Sim.prototype);
     b.cfg    = { ...this.cfg };
     b._rng   = this._rng;
+    b._seeds = { ...this._seeds };
     b.gt     = this.gt.map(row => row.slice());
+    b.layout = this.layout;
     b.map    = this.map.map(row => row.slice());
     b.robots = this.robots.map(r => r.slice());
+    b.headings = this.headings.slice();
     b.time   = this.time;
     b.step   = this.step;
     b._dist  = this._dist.slice();
+    b._trails = this._trails.map(t => t.slice());
+    b._paths = this._paths.map(p => p && { goal: p.goal.slice(), cells: p.cells.map(c => c.slice()) });
+    b.hazards = this.hazards.map(h => ({ ...h }));
+    b._energy = this._energy.slice();
+    b.energyLog = this.energyLog.map(e => ({ ...e }));
+    b.docks = this.docks.map(d => d.slice());
+    b.battery = this.battery.slice();
+    b.recharges = this.recharges.slice();
+    b._returning = this._returning.slice();
+    b.readings = this.readings.map(r => ({ ...r }));
+    b.lastScan = this.lastScan.slice();
+    b.detections = this.detections.map(d => ({ ...d }));
+    b._detected = new Set(this._detected);
+    b.logOdds = this.logOdds && this.logOdds.slice();
+    b._seenBy = this._seenBy.slice();
+    b._gtVersion = this._gtVersion;
+    b._fields = Array(b.robots.length).fill(null);
+    b.replans = this.replans.slice();
+    b._seenAt = this._seenAt && this._seenAt.slice();
+    b._transient = this._transient && new Set(this._transient);
+    b.world = this.world && this.world.clone();
+    b.victims = this.victims;
+    b._victimAt = this._victimAt;
+    b._vseed = this._vseed;
+    b._found = new Set(this._found);
+    b._searched = this._searched.slice();
+    b._frontier = this._frontier.slice();
+    b._touched = this._touched.slice();
+    b._frontierList = null; b._clusters = null;
     return b;
   }
+  // Next number of the named stream in this._seeds (mulberry32 on a plain
+  // number so clones continue the same stream independently).
+  _rand(stream){
+    let t = this._seeds[stream] = (this._seeds[stream] + 0x6D2B79F5) >>> 0;
+    t = Math.imul(t ^ t >>> 15, t | 1);
+    t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  }
+  // Spawn cells inside the cleared 3×3 corner patch: robot 0 at the corner,
+  // robot 1 at the far corner of the initial known patch, the rest spread out.
+  _spawnPoints(n, s){
+    const cand = [[0,0],[s-1,s-1],[2,0],[0,2],[2,2],[1,0],[0,1],[2,1],[1,2]];
+    const out = [];
+    for (const c of cand){
+      if (out.length >= n) break;
+      if (!out.some(([x,y]) => x===c[0] && y===c[1])) out.push(c.slice());
+    }
+    while (out.length < n) out.push(out[out.length % 9].slice()); // more than 9 robots share cells
+    return out;
+  }
+  // The n free cells closest to (sx,sy) by BFS (shared when there are fewer).
+  _spawnNear(n, sx, sy){
+    const N=this.cfg.size, out=[[sx,sy]], seen=new Uint8Array(N*N);
+    seen[sy*N+sx]=1;
+    for (let k=0; k<out.length && out.length<n; k++){
+      for (const [x,y] of this._neighbors4(out[k][0], out[k][1])){
+        if (seen[y*N+x] || this.gt[x][y]!==FREE) continue;
+        seen[y*N+x]=1; out.push([x,y]);
+        if (out.length>=n) break;
+      }
+    }
+    const m=out.length;
+    while (out.length < n) out.push(out[out.length % m].slice());
+    return out;
+  }
+  // Team statistics: per-robot distance and how much of the sensed area was
+  // observed by more than one robot (redundant coverage).
+  teamStats(){
+    let seen=0, overlap=0;
+    for (const m of this._seenBy){
+      if (!m) continue;
+      seen++;
+      if (m & (m-1)) overlap++;
+    }
+    return { perRobotDist: this._dist.slice(), seen, overlap, overlapRatio: seen ? overlap/seen : 0 };
+  }
+  // Seeded hazard placement: fires, gas and heat sources as {id, kind, x, y, r, intensity}.
+  // Fires write a blocking disk into gt; sources avoid the spawn patch, the
+  // central doorway/corridor crossing and each other; outside the random layout
+  // fires also keep a cell of open floor to any wall (so no doorway is blocked).
+  // `spawn` is the spawn patch size.
+  _placeHazards(spawn){
+    const N=this.cfg.size, mid=Math.floor(N/2), out=[];
+    const kinds = [
+      ['fire', this.cfg.fires, this.cfg.fireRadius],
+      ['gas',  this.cfg.gasSources, 3],
+      ['heat', this.cfg.heatSources, 3]
+    ];
+    for (const [kind, count, r] of kinds){
+      let placed=0;
+      for (let tries=0; placed<count && tries<200*count; tries++){
+        const lo=r+2, hi=N-r-3;
+        if (hi<lo) break;
+        const x = lo + Math.floor(this._rng()*(hi-lo+1));
+        const y = lo + Math.floor(this._rng()*(hi-lo+1));
+        if (x < spawn+r && y < spawn+r) continue;                         // spawn patch
+        if (Math.abs(x-mid) <= r+1 && Math.abs(y-mid) <= r+1) continue;   // doorway / crossing
+        if (kind==='fire' && this.cfg.layout==='random' && (Math.abs(x-mid) <= r || Math.abs(y-mid) <= r)) continue; // corridors
+        if (out.some(h => Math.hypot(h.x-x, h.y-y) < h.r + r + 1)) continue;
+        if (kind==='fire' && this.cfg.layout!=='random' && !this._clearDisk(x, y, r+1)) continue; // keep a gap to walls
+        const intensity = 0.5 + 0.5*this._rng();
+        out.push({ id: out.length, kind, x, y, r, intensity });
+        if (kind==='fire'){
+          for (let dx=-r; dx<=r; dx++) for (let dy=-r; dy<=r; dy++)
+            if (dx*dx+dy*dy <= r*r) this.gt[x+dx][y+dy] = OBST;
+        }
+        placed++;
+      }
+    }
+    return out;
+  }
+  _clearDisk(cx, cy, r){
+    const N=this.cfg.size;
+    for (let dx=-r; dx<=r; dx++) for (let dy=-r; dy<=r; dy++){
+      const x=cx+dx, y=cy+dy;
+      if (dx*dx+dy*dy > r*r || x<0 || y<0 || x>=N || y>=N) continue;
+      if (this.gt[x][y]===OBST) return false;
+    }
+    return true;
+  }
   totalDistance(){ return this._dist.reduce((a,b)=>a+b,0); }
+  // Cells robot i has driven through, from its spawn (shared arrays: read only).
+  trail(i){ return this._trails[i]; }
+  // Remaining cells of robot i's cached path to its current goal ([] if none).
+  plannedPath(i){ return this._paths[i]?.cells ?? []; }
+  totalEnergy(){ return this._energy.reduce((a,b)=>a+b,0); }
+  // Remaining charge of robot i in [0,1] (1 without a battery).
+  batteryFrac(i){
+    const cap=this.cfg.batteryJ;
+    return Number.isFinite(cap) ? this.battery[i]/cap : 1;
+  }
+  energyStats(){
+    const byKind={ motion: 0, sensing: 0, idle: 0 };
+    for (const e of this.energyLog) for (const k in byKind) byKind[k]+=e[k];
+    return {
+      usedJ: this.totalEnergy(), perRobotJ: this._energy.slice(), byKind,
+      recharges: this.recharges.reduce((a,b)=>a+b,0),
+      charge: this.robots.map((_,i)=>this.batteryFrac(i))
+    };
+  }
+  // Book J joules against robot i's battery under kind (motion | sensing | idle).
+  _draw(i, J, kind){
+    this._energy[i] += J;
+    this.energyLog[i][kind] += J;
+    this.battery[i] = Math.max(0, this.battery[i] - J);
+  }
+  // Energy to drive one cell: motion plus idle draw over the travel time.
+  _cellJ(){ return (this.cfg.motionW + this.cfg.idleW) / Math.max(1e-6, (this.cfg.robotSpeed||1.0)); }
+  _scanJ(scan){
+    if (Array.isArray(scan)){
+      const c=planCost(scan, this.cfg.sensorWatts);
+      return c.energyJ + this.cfg.idleW*c.ms/1000;
+    }
+    return ((this.cfg.sensorWatts.lidar_scan ?? SENSOR_ACTIONS.lidar_scan.watts) + this.cfg.idleW) * Math.max(0, scan || 0);
+  }
+  // Shortest route over cells already known FREE (a route the robot can
+  // trust, unlike planPath's optimistic unknowns); cells after the start up
+  // to and including the target, or null.
+  _knownPath(sx,sy,tx,ty){
+    const N=this.cfg.size, from=new Int32Array(N*N).fill(-1), q=new Int32Array(N*N);
+    const start=sy*N+sx, goal=ty*N+tx;
+    let head=0, tail=0;
+    from[start]=start; q[tail++]=start;
+    while (head<tail && from[goal]<0){
+      const id=q[head++], x=id%N, y=(id-x)/N;
+      for (const [nx,ny] of this._neighbors4(x,y)){
+        const nid=ny*N+nx;
+        if (from[nid]>=0 || (this.map[nx][ny]!==FREE && nid!==goal)) continue;
+        from[nid]=id; q[tail++]=nid;
+      }
+    }
+    if (from[goal]<0) return null;
+    const path=[];
+    for (let id=goal; id!==start; id=from[id]) path.push([id%N, Math.floor(id/N)]);
+    return path.reverse();
+  }
+  // Would robot i, after spending stepJ, still cover the known route to its dock?
+  _mustReturn(i, stepJ){
+    if (!Number.isFinite(this.cfg.batteryJ)) return false;
+    const [x,y]=this.robots[i], [dx,dy]=this.docks[i];
+    const home=this._knownPath(x,y,dx,dy);
+    const cells=home ? home.length : Math.abs(x-dx)+Math.abs(y-dy);
+    return this.battery[i] - stepJ < this.cfg.returnReserve * (cells+1) * this._cellJ();
+  }
+  // Charge to full at the dock; charging time adds to sim time.
+  _recharge(i){
+    this.time += (this.cfg.batteryJ - this.battery[i]) / this.cfg.rechargeW;
+    this.battery[i] = this.cfg.batteryJ;
+    this.recharges[i]++;
+    this._returning[i] = false;
+  }
+  // Global obstacle ratio from ground truth (scenario statistic; robots use
+  // estimateContext for what they can actually know).
   clutter() {
     const N=this.cfg.size; let obst=0;
     for (let x=0;x<N;x++) for (let y=0;y<N;y++) if (this.gt[x][y]===OBST) obst++;
@@ -129,68 +573,343 @@ export class Sim {
     if (y-1>=0) out.push([x,y-1]);
     return out;
   }
+  // ---- Frontier maintenance ----
+  // Frontier flags are kept per cell and only re-evaluated around cells whose
+  // map value changed (_touched); lists and clusters are cached until then.
+  _isFrontier(x,y){
+    if (this.map[x][y]!==UNK) return false;
+    const N=this.cfg.size, m=this.map;
+    return (x+1<N && m[x+1][y]===FREE) || (x>0 && m[x-1][y]===FREE) ||
+           (y+1<N && m[x][y+1]===FREE) || (y>0 && m[x][y-1]===FREE);
+  }
+  _rebuildFrontiers(){
+    const N=this.cfg.size;
+    this._frontier = new Uint8Array(N*N);
+    for (let x=0;x<N;x++) for (let y=0;y<N;y++) if (this._isFrontier(x,y)) this._frontier[y*N+x]=1;
+    this._touched = [];
+    this._frontierList = null; this._clusters = null;
+  }
+  _setMap(x,y,v){
+    if (this.map[x][y]===v) return;
+    this.map[x][y]=v;
+    this._touched.push(y*this.cfg.size+x);
+  }
+  // Ground-truth change (dynamic world); invalidates cached distance fields.
+  _setGt(x,y,v){
+    if (this.gt[x][y]===v) return;
+    this.gt[x][y]=v;
+    this._gtVersion++;
+  }
+  // Stale cell: back to unknown (and an uninformed log-odds prior).
+  _forget(x,y){
+    if (this.logOdds) this.logOdds[y*this.cfg.size + x] = 0;
+    this._setMap(x, y, UNK);
+  }
+  _refreshFrontiers(){
+    if (!this._touched.length) return;
+    const N=this.cfg.size, f=this._frontier;
+    let changed=false;
+    const check=(x,y)=>{
+      const id=y*N+x, v=this._isFrontier(x,y)?1:0;
+      if (f[id]!==v){ f[id]=v; changed=true; }
+    };
+    for (const id of this._touched){
+      const x=id%N, y=(id-x)/N;
+      check(x,y);
+      for (const [nx,ny] of this._neighbors4(x,y)) check(nx,ny);
+    }
+    this._touched.length = 0;
+    if (changed){ this._frontierList = null; this._clusters = null; }
+  }
   frontiers(){
-    const N=this.cfg.size, fr=[];
-    for (let x=0;x<N;x++) for (let y=0;y<N;y++){
-      if (this.map[x][y]!==UNK) continue;
-      const neigh=this._neighbors4(x,y);
-      if (neigh.some(([nx,ny])=>this.map[nx][ny]===FREE)) fr.push([x,y]);
+    this._refreshFrontiers();
+    if (!this._frontierList){
+      // x-major order, same as a full scan of the map
+      const N=this.cfg.size, fr=[];
+      for (let x=0;x<N;x++) for (let y=0;y<N;y++) if (this._frontier[y*N+x]) fr.push([x,y]);
+      this._frontierList = fr;
     }
-    return fr;
+    return this._frontierList;
+  }
+  // 8-connected frontier clusters: {id, cells, size, centroid:[x,y], rep:[x,y]}
+  // where rep is the cluster cell closest to the centroid.
+  frontierClusters(){
+    const fr=this.frontiers();
+    if (this._clusters) return this._clusters;
+    const N=this.cfg.size, f=this._frontier, seen=new Uint8Array(N*N), out=[];
+    for (const [sx,sy] of fr){
+      if (seen[sy*N+sx]) continue;
+      const cells=[[sx,sy]];
+      seen[sy*N+sx]=1;
+      for (let head=0; head<cells.length; head++){
+        const [x,y]=cells[head];
+        for (let dx=-1; dx<=1; dx++) for (let dy=-1; dy<=1; dy++){
+          const nx=x+dx, ny=y+dy;
+          if (nx<0||ny<0||nx>=N||ny>=N) continue;
+          const id=ny*N+nx;
+          if (f[id] && !seen[id]){ seen[id]=1; cells.push([nx,ny]); }
+        }
+      }
+      let cx=0, cy=0;
+      for (const [x,y] of cells){ cx+=x; cy+=y; }
+      cx/=cells.length; cy/=cells.length;
+      let rep=cells[0], repD=Infinity;
+      for (const c of cells){
+        const d=(c[0]-cx)*(c[0]-cx)+(c[1]-cy)*(c[1]-cy);
+        if (d<repD){ repD=d; rep=c; }
+      }
+      out.push({ id: out.length, cells, size: cells.length, centroid: [cx,cy], rep });
+    }
+    this._clusters = out;
+    return out;
+  }
+  // BFS distance field from robot i over gt, computed once per robot per step.
+  distanceField(i){
+    const [rx,ry]=this.robots[i];
+    const key=`${this.step}|${rx},${ry}|${this._gtVersion}`;
+    const c=this._fields[i];
+    if (c && c.key===key) return c.dist;
+    const dist=distanceField(this, rx, ry);
+    this._fields[i]={ key, dist };
+    return dist;
   }
+  // Path length of the A* plan over the *known* map (unknown cells are optimistic).
   aStarDist(ax,ay,bx,by){
     const N=this.cfg.size;
     if (ax<0||ay<0||bx<0||by<0) return null;
     if (ax>=N||ay>=N||bx>=N||by>=N) return null;
-    return Math.abs(ax-bx)+Math.abs(ay-by);
+    const path=this.planPath(ax,ay,bx,by);
+    return path ? path.length : null;
   }
-  _reveal(cx,cy,r=4){
+  // A* over sim.map, 4-connected. Known obstacles block; UNK is treated as free.
+  // Returns the cells after the start up to and including the goal
+  // ([] when already there), or null when the goal is unreachable on the known map.
+  planPath(sx,sy,tx,ty){
     const N=this.cfg.size;
-    for (let x=Math.max(0,cx-r); x<=Math.min(N-1,cx+r); x++){
-      for (let y=Math.max(0,cy-r); y<=Math.min(N-1,cy+r); y++){
-        this.map[x][y] = this.gt[x][y];
+    if (sx===tx && sy===ty) return [];
+    if (this.map[tx][ty]===OBST) return null;
+    const enc=(x,y)=>y*N+x;
+    const g=new Float64Array(N*N).fill(Infinity), from=new Int32Array(N*N).fill(-1);
+    const closed=new Uint8Array(N*N);
+    const h=(x,y)=>Math.abs(x-tx)+Math.abs(y-ty);
+    const open=new MinHeap();
+    g[enc(sx,sy)]=0; open.push(h(sx,sy), enc(sx,sy));
+    const goal=enc(tx,ty);
+    while (open.size){
+      const id=open.pop();
+      if (closed[id]) continue;
+      closed[id]=1;
+      if (id===goal) break;
+      const x=id%N, y=(id-x)/N;
+      for (const [nx,ny] of this._neighbors4(x,y)){
+        if (this.map[nx][ny]===OBST) continue;
+        const nid=enc(nx,ny), ng=g[id]+1;
+        if (ng<g[nid]){ g[nid]=ng; from[nid]=id; open.push(ng+h(nx,ny), nid); }
       }
     }
+    if (!closed[goal]) return null;
+    const path=[];
+    for (let id=goal; id!==enc(sx,sy); id=from[id]) path.push([id%N, Math.floor(id/N)]);
+    return path.reverse();
   }
-  moveAndScan(robotIdx, goal, scanS){
+  // Cached path per robot; replan when the goal changes or a newly revealed
+  // obstacle (a wall, or a closed door, fire or person in a dynamic world)
+  // sits on the remaining path.
+  _pathFor(robotIdx, goal){
+    const [rx,ry]=this.robots[robotIdx];
+    const c=this._paths[robotIdx];
+    if (c && c.goal[0]===goal[0] && c.goal[1]===goal[1]){
+      if (c.cells.every(([x,y])=>this.map[x][y]!==OBST)) return c.cells;
+      this.replans[robotIdx]++;
+    }
+    const cells=this.planPath(rx,ry,goal[0],goal[1]);
+    this._paths[robotIdx] = cells ? { goal:[goal[0],goal[1]], cells } : null;
+    return cells;
+  }
+  // Sensor sweep: raycast over gt from (cx,cy) within range r and the configured
+  // field of view around `heading`; cells are uncovered up to and including
+  // the first obstacle on each ray.
+  // look(x,y), when given, also visits every swept cell.
+  _reveal(cx,cy,r=4,heading=0,robotIdx=-1,look=null){
+    const N=this.cfg.size, bit = robotIdx>=0 && robotIdx<8 ? 1<<robotIdx : 0;
+    const see = (x,y)=>{ this._observe(x,y); if (bit) this._seenBy[y*N+x] |= bit; if (look) look(x,y); };
+    see(cx, cy);
+    castRays(this, cx, cy, r, heading, this.cfg.sensorFov, see);
+  }
+  // One sensor reading of cell (x,y). Ternary mode copies gt; occupancy mode
+  // draws a noisy hit/miss, updates log-odds and re-thresholds the map cell.
+  _observe(x,y){
+    if (this._seenAt) this._seenAt[y*this.cfg.size + x] = this.time;
+    if (!this.logOdds){ this._setMap(x, y, this.gt[x][y]); return; }
+    const c=this.cfg, occ=this.gt[x][y]===OBST;
+    const flip = occ ? c.falseNeg : c.falsePos;
+    const hit = (flip > 0 && this._rand('noise') < flip) ? !occ : occ;
+    const p = hit ? c.pHit : c.pMiss;
+    const id = y*c.size + x;
+    const L = this.logOdds[id] + Math.log(p/(1-p));
+    this.logOdds[id] = Math.max(-c.logOddsClamp, Math.min(c.logOddsClamp, L));
+    this._setMap(x, y, this._classify(this.logOdds[id]));
+  }
+  _classify(L){
+    const p = 1/(1+Math.exp(-L));
+    return p > this.cfg.occThresh ? OBST : (p < this.cfg.freeThresh ? FREE : UNK);
+  }
+  // certain obstacle (e.g. the robot bumped into it)
+  _markObstacle(x,y){
+    if (this._seenAt) this._seenAt[y*this.cfg.size + x] = this.time;
+    if (this.logOdds) this.logOdds[y*this.cfg.size + x] = this.cfg.logOddsClamp;
+    this._setMap(x, y, OBST);
+  }
+  // P(occupied) for a cell; ternary maps report 0 / 0.5 / 1.
+  occupancyProb(x,y){
+    if (this.logOdds) return 1/(1+Math.exp(-this.logOdds[y*this.cfg.size + x]));
+    const v=this.map[x][y];
+    return v===UNK ? 0.5 : (v===OBST ? 1 : 0);
+  }
+  // Combined per-reading corruption rate of the sensor model, in [0,1].
+  sensorNoise(){
+    const c=this.cfg;
+    const fp = c.occupancy ? c.falsePos : 0, fn = c.occupancy ? c.falseNeg : 0;
+    return 1 - (1-c.sensorDropout)*(1-fp)*(1-fn);
+  }
+  // `scan` is either a scalar scan time in seconds (plain LiDAR reveal) or a
+  // composite sensing plan, e.g. [['thermal_snap','wait'],['lidar_scan']],
+  // run through executePlan. With a battery, the robot overrides `goal` and
+  // heads to its dock without scanning once its charge would no longer cover
+  // the trip home after this step, recharges there, and stays put when empty.
+  // A dynamic world then catches up with the sim time the step took.
+  moveAndScan(robotIdx, goal, scan){
+    this._act(robotIdx, goal, scan);
+    if (this.world) this.world.advance(this);
+  }
+  _act(robotIdx, goal, scan){
     const r=this.robots[robotIdx];
-    const d=this.aStarDist(r[0],r[1],goal[0],goal[1]);
-    if (d==null){ return; }
-    if (d===0){
-      this.time += Math.max(0, scanS||0);
-      this._reveal(r[0], r[1], 3);
+    const N=this.cfg.size, range=this.cfg.sensorRange;
+    if (goal[0]<0||goal[1]<0||goal[0]>=N||goal[1]>=N){ return; }
+    if (Number.isFinite(this.cfg.batteryJ)){
+      if (this.battery[robotIdx] <= 0){ this.step++; return; }   // stranded
+      const dock=this.docks[robotIdx];
+      if (this._returning[robotIdx] || this._mustReturn(robotIdx, this._cellJ() + this._scanJ(scan))){
+        if (r[0]===dock[0] && r[1]===dock[1]){ this._recharge(robotIdx); this.step++; return; }
+        if (!this._returning[robotIdx]){
+          const home=this._knownPath(r[0], r[1], dock[0], dock[1]);
+          this._paths[robotIdx] = home ? { goal: dock.slice(), cells: home } : null;
+          this._returning[robotIdx] = true;
+        }
+        goal = dock; scan = null;
+      }
+    }
+    const path=this._pathFor(robotIdx, goal);
+    if (path && path.length===0){
+      this._scan(robotIdx, scan, range);
+      this._sweep(robotIdx);
       this.step++; return;
     }
-    // move exactly ONE grid cell toward the goal (4-connected)
-    let nx=r[0], ny=r[1];
-    const dx = Math.sign(goal[0]-r[0]);
-    const dy = Math.sign(goal[1]-r[1]);
-    // try axis with greater |distance| first
-    const tryXFirst = Math.abs(goal[0]-r[0]) >= Math.abs(goal[1]-r[1]);
-    const trySteps = tryXFirst ? [[dx,0],[0,dy]] : [[0,dy],[dx,0]];
-    let moved=false;
-    for (const [sx,sy] of trySteps){
-      const tx = r[0]+sx, ty = r[1]+sy;
-      if (tx<0||ty<0||tx>=this.cfg.size||ty>=this.cfg.size) continue;
-      if (this.gt[tx][ty]===OBST) continue;  // don’t step into obstacle
-      nx=tx; ny=ty; moved=true; break;
-    }
-    if (!moved){
-      // stuck: just “scan” in place so we still gain info
-      this.time += Math.max(0, scanS || 0);
-      this._reveal(r[0], r[1], 2);
+    // follow the planned path exactly ONE grid cell (4-connected)
+    const next = path ? path[0] : null;
+    if (!next || this.gt[next[0]][next[1]]===OBST){
+      // no known route (or bumped into an unseen obstacle): mark it, scan in place
+      if (next){ this._markObstacle(next[0], next[1]); this._paths[robotIdx] = null; this.replans[robotIdx]++; }
+      this._scan(robotIdx, scan, Math.max(1, range-1));
+      this._sweep(robotIdx);
       this.step++; return;
     }
-    nx=Math.max(0, Math.min(this.cfg.size-1, nx));
-    ny=Math.max(0, Math.min(this.cfg.size-1, ny));
+    path.shift();
     this._dist[robotIdx]+=1;
-    this.time += 1 / Math.max(1e-6, (this.cfg.robotSpeed||1.0)); // robotSpeed slows sim time
-    r[0]=nx; r[1]=ny;
-    this._reveal(r[0], r[1], 2);
-    this.time += Math.max(0, scanS || 0);
-    this._reveal(r[0], r[1], 3);
+    const dt = 1 / Math.max(1e-6, (this.cfg.robotSpeed||1.0)); // robotSpeed slows sim time
+    this.time += dt;
+    this._draw(robotIdx, this.cfg.motionW*dt, 'motion');
+    this._draw(robotIdx, this.cfg.idleW*dt, 'idle');
+    this.headings[robotIdx] = Math.atan2(next[1]-r[1], next[0]-r[0]);
+    r[0]=next[0]; r[1]=next[1];
+    this._trails[robotIdx].push([r[0], r[1]]);
+    this._reveal(r[0], r[1], Math.max(1, range-1), this.headings[robotIdx], robotIdx);
+    this._scan(robotIdx, scan, range);
     this.step++;
   }
+  // scan === null skips scanning (robot returning to its dock)
+  _scan(robotIdx, scan, range){
+    if (scan === null) return;
+    if (Array.isArray(scan)) { this.executePlan(robotIdx, scan); return; }
+    const r=this.robots[robotIdx], s=Math.max(0, scan || 0);
+    const energyJ = this._scanJ(s) - this.cfg.idleW*s;
+    this.time += s;
+    this._draw(robotIdx, energyJ, 'sensing');
+    this._draw(robotIdx, this.cfg.idleW*s, 'idle');
+    const inView=new Set(), detected=[];
+    this._reveal(r[0], r[1], range, this.headings[robotIdx], robotIdx, this._victimLook(inView));
+    for (const v of inView) this._tryVictim(robotIdx, v, 'visual', range, 'lidar_scan', detected);
+    this.lastScan[robotIdx] = { ms: s * 1000, energyJ, plan: null, readings: null, detected };
+  }
+  // Run a composite sensing plan at robot i's pose. Groups run in sequence,
+  // actions inside a group in parallel (timing from planCost). Each action
+  // applies its effect: LiDAR/thermal reveal through the LOS sensor, thermal
+  // and gas readings/detections from hazard sources, audio hears fires
+  // through walls; victims get a chance on each action's `victim` channel
+  // (in the LOS cone for revealing sensors, by range for audio). Advances sim
+  // time and the robot's energy counter.
+  executePlan(i, plan){
+    const cost=planCost(plan, this.cfg.sensorWatts);
+    const [rx,ry]=this.robots[i], heading=this.headings[i];
+    const readings={ thermal: 0, gas: 0, audio: 0 }, detected=[];
+    const detect=(h, sensor)=>{
+      if (this._detected.has(h.id)) return;
+      this._detected.add(h.id);
+      detected.push(h);
+      this.detections.push({ t: this.time, step: this.step, robot: i, hazard: h.id, kind: h.kind, sensor });
+    };
+    let t0=this.time;
+    for (const g of cost.groups){
+      this.time = t0 + g.start/1000;       // parallel actions share the group's start
+      for (const a of g.actions){
+        const spec=SENSOR_ACTIONS[a];
+        if (spec.reveal){
+          const R=Math.max(1, Math.round(this.cfg.sensorRange*spec.reveal)), inView=new Set();
+          this._reveal(rx, ry, R, heading, i, spec.victim ? this._victimLook(inView) : null);
+          for (const v of inView) this._tryVictim(i, v, spec.victim, R, a, detected);
+        } else if (spec.victim){
+          for (const v of this.victims) if (Math.hypot(v.x-rx, v.y-ry) <= spec.range) this._tryVictim(i, v, spec.victim, spec.range, a, detected);
+        }
+        if (a==='thermal_snap'){
+          // hot sources inside the (LOS) camera cone
+          const hot=this.hazards.filter(h=>(h.kind==='fire'&&!h.out)||h.kind==='heat');
+          castRays(this, rx, ry, spec.range, heading, this.cfg.sensorFov, (x,y)=>{
+            for (const h of hot){
+              const d=Math.hypot(x-h.x, y-h.y);
+              if (d>h.r) continue;
+              readings.thermal=Math.max(readings.thermal, h.intensity*(1 - Math.hypot(rx-h.x, ry-h.y)/(spec.range+h.r)));
+              detect(h, a);
+            }
+          });
+        } else if (a==='gas_sniff' || a==='audio_probe'){
+          // gas diffuses and fires are audible through walls: range only, no LOS
+          const kind = a==='gas_sniff' ? 'gas' : 'fire';
+          for (const h of this.hazards){
+            if (h.kind!==kind || h.out) continue;
+            const d=Math.hypot(rx-h.x, ry-h.y), reach=spec.range+h.r;
+            if (d>reach) continue;
+            const key = a==='gas_sniff' ? 'gas' : 'audio';
+            readings[key]=Math.max(readings[key], h.intensity*(1 - d/reach));
+            detect(h, a);
+          }
+        }
+      }
+    }
+    this.time = t0 + cost.ms/1000;
+    this._draw(i, cost.energyJ, 'sensing');
+    this._draw(i, this.cfg.idleW*cost.ms/1000, 'idle');
+    this.readings[i] = readings;
+    this.lastScan[i] = { ms: cost.ms, energyJ: cost.energyJ, plan, readings, detected };
+    return this.lastScan[i];
+  }
+  // Scanning in place turns the sensor head by one field of view so repeated
+  // scans sweep the surroundings instead of re-reading the same cone.
+  _sweep(robotIdx){
+    const fov=this.cfg.sensorFov;
+    if (fov >= 2*Math.PI) return;
+    const h=this.headings[robotIdx]+fov;
+    this.headings[robotIdx] = Math.atan2(Math.sin(h), Math.cos(h));
+  }
 }
 
 // BFS to the nearest unknown cell (map==UNK), traversing cells where gt!=OBST.
@@ -201,8 +920,8 @@ function nearestUnknown(sim, sx, sy) {
   const enc = (x, y) => y * N + x;
   seen[enc(sx, sy)] = 1;
   const dirs = [[1,0],[-1,0],[0,1],[0,-1]];
-  while (q.length) {
-    const [x, y] = q.shift();
+  for (let head = 0; head < q.length; head++) {
+    const [x, y] = q[head];
     if (sim.map[x][y] === UNK) return [x, y];
     for (const [dx, dy] of dirs) {
       const nx = x + dx, ny = y + dy;
@@ -215,98 +934,524 @@ function nearestUnknown(sim, sx, sy) {
   return [sx, sy];
 }
 
-export const policies = {
-  nf(sim){
-    const goals=[], fr=sim.frontiers();
-    if (fr.length === 0) {
-      for (const [rx, ry] of sim.robots) goals.push(nearestUnknown(sim, rx, ry));
-      return goals;
-    }
-    for (const [rx,ry] of sim.robots){
-      let best=[rx,ry], bestD=Infinity;
-      for (const [fx,fy] of fr){
-        const v = vantageForFrontier(sim, rx, ry, fx, fy);
-        if (!v) continue;
-        const d = bfsDist(sim, rx, ry, v[0], v[1]);
-        if (d == null) continue;
-        const dj = d;
-        if (dj < bestD){ bestD = dj; best = v; }
+// Per-robot targets: every frontier cluster reachable from robot i with its
+// cheapest FREE vantage cell {c, v, d} under the robot's distance field.
+function clusterTargets(sim, i){
+  const N=sim.cfg.size, field=sim.distanceField(i), out=[];
+  for (const c of sim.frontierClusters()){
+    let v=null, d=Infinity;
+    for (const [fx,fy] of c.cells){
+      for (const [nx,ny] of sim._neighbors4(fx,fy)){
+        if (sim.map[nx][ny] !== FREE) continue;
+        const dd=field[ny*N+nx];
+        if (dd>=0 && dd<d){ d=dd; v=[nx,ny]; }
       }
-      if (best[0] === rx && best[1] === ry) {
-        best = nearestUnknown(sim, rx, ry);
-      }
-      goals.push(best);
     }
-    return goals;
-  },
-  igRatio(sim){
-    const goals=[], fr=sim.frontiers();
-    if (fr.length === 0) {
-      for (const [rx, ry] of sim.robots) goals.push(nearestUnknown(sim, rx, ry));
-      return goals;
-    }
-    for (const [rx,ry] of sim.robots){
-      let best=[rx,ry], bestScore=-1e9;
-      for (const [fx,fy] of fr){
-        const v = vantageForFrontier(sim, rx, ry, fx, fy);
-        if (!v) continue;
-        const d = bfsDist(sim, rx, ry, v[0], v[1]);
-        if (d == null) continue;
-        const ig=infoGain(sim,fx,fy,sim.cfg.infoRadius);
-        const score = ig / d + 1e-4*(sim._rng()-0.5);
-        if (score>bestScore){ bestScore=score; best=v; }
-      }
-      goals.push(best);
+    if (v) out.push({ c, v, d });
+  }
+  return out;
+}
+
+// ---- Policy framework ----
+// Frontier policies share one pipeline: every frontier cluster's cheapest
+// vantage per robot (clusterTargets) is scored by summing the policy's score
+// terms, and the best vantage becomes the robot's goal. A term is
+// { label, params: defaults, score(c, p) } with c = { sim, i, rx, ry, t, ig(),
+// clutter() } (t = { c, v, d } from clusterTargets; ig and clutter cached).
+// Terms are summed in the order the policy lists them.
+export const SCORE_TERMS = {
+  distance: { label: 'Travel distance', params: { weight: 1 },
+    score: (c, p) => -p.weight * c.t.d },
+  infoGain: { label: 'Info gain', params: { weight: 1 },
+    score: (c, p) => p.weight * c.ig() },
+  gainPerDist: { label: 'Info gain / distance', params: { weight: 1 },
+    score: (c, p) => p.weight * c.ig() / c.t.d },
+  hysteresis: { label: 'Stay near (hysteresis)', params: { radius: 3, gain: 2 },
+    score: (c, p) => {
+      const [fx, fy] = c.t.c.rep;
+      return (Math.abs(c.rx-fx) + Math.abs(c.ry-fy)) <= p.radius ? p.gain : 0;
+    } },
+  // predicted scan time at the robot's clutter (fusion data's best ms, or a heuristic)
+  scanHint: { label: 'Scan-time hint', params: { weight: 1, bestMs: null },
+    score: (c, p) => -p.weight * (p.bestMs != null ? (p.bestMs / 1000) * (0.6 + 0.4 * c.clutter()) : 0.25 + 0.5 * c.clutter()) },
+  // exposure at the vantage to hazards the robots have detected
+  hazard: { label: 'Hazard penalty', params: { weight: 4 },
+    score: (c, p) => -p.weight * hazardExposure(c.sim, c.t.v[0], c.t.v[1]) },
+  // tiny tie-break hashed from (seed, step, vantage): draws from no stream, so
+  // panels running the same policy break ties alike
+  jitter: { label: 'Tie-break jitter', params: { amount: 1e-4 },
+    score: (c, p) => p.amount * (hash01(c.sim.cfg.seed, c.sim.step, c.t.v[0], c.t.v[1]) - 0.5) }
+};
+
+// Registered policies: name → { label, terms: [[term, params?]], fallback } for
+// frontier policies or { label, params, pick(sim, params) } for ones with their
+// own candidate set. fallback when nothing scores:
+//   'noFrontiers' (default) nearest unknown cell once the map has no frontiers
+//   'stuck'  also when the best vantage is the robot's own cell
+//   'stay'   keep the robot where it is
+// `scan: 'fusion'` marks policies meant to run with the fusion scan plans.
+export const POLICIES = {};
+// Callable policies: policies[name](sim, params?) → one goal per robot. params
+// override defaults per term ({ distance: { weight: 2 } }) or, for `pick`
+// policies, flat ({ weight: 0.8 }). The built-in ones attach what they weighed
+// as goals.scores: per robot [{ v: [x,y], cluster?, score }] (higher is better;
+// cluster is the frontier cluster id the vantage looks at).
+export const policies = {};
+
+export function registerScoreTerm(name, term){
+  if (typeof term?.score !== 'function') throw new Error(`score term ${name}: score(c, p) is required`);
+  SCORE_TERMS[name] = { label: term.label ?? name, params: { ...term.params }, score: term.score };
+  return SCORE_TERMS[name];
+}
+
+export function registerPolicy(name, def){
+  if (typeof def.pick !== 'function') {
+    if (!Array.isArray(def.terms) || !def.terms.length) throw new Error(`policy ${name}: terms or pick() required`);
+    for (const [term] of def.terms) if (!SCORE_TERMS[term]) throw new Error(`policy ${name}: unknown score term ${term}`);
+  }
+  POLICIES[name] = { label: name, ...def };
+  policies[name] = def.pick ? (sim, params = {}) => def.pick(sim, { ...def.params, ...params })
+                            : (sim, params = {}) => frontierPolicy(sim, POLICIES[name], params);
+  return policies[name];
+}
+
+// Default parameters of a policy as { term: { key: value } } (frontier
+// policies) or { key: value } (pick policies), for UIs.
+export function policyParams(name){
+  const def = POLICIES[name];
+  if (!def) throw new Error(`unknown policy: ${name}`);
+  if (def.pick) return { ...def.params };
+  return Object.fromEntries(def.terms.map(([term, p]) => [term, { ...SCORE_TERMS[term].params, ...p }]));
+}
+
+function frontierPolicy(sim, def, params){
+  const terms = def.terms.map(([term, p]) => [SCORE_TERMS[term].score, { ...SCORE_TERMS[term].params, ...p, ...params[term] }]);
+  const fallback = def.fallback ?? 'noFrontiers';
+  if (fallback !== 'stay' && sim.frontiers().length === 0)
+    return sim.robots.map(([rx, ry]) => nearestUnknown(sim, rx, ry));
+  const scores = sim.robots.map(() => []);
+  const goals = sim.robots.map(([rx, ry], i) => {
+    let ig = null, clutter = null;
+    const c = { sim, i, rx, ry, t: null,
+      ig: () => ig ?? (ig = infoGain(sim, c.t.c.rep[0], c.t.c.rep[1], sim.cfg.infoRadius)),
+      clutter: () => clutter ?? (clutter = estimateContext(sim, i).clutter) };
+    let best = [rx, ry], bestScore = -Infinity;
+    for (const t of clusterTargets(sim, i)){
+      c.t = t; ig = null;
+      let sc = 0;
+      for (const [score, p] of terms) sc += score(c, p);
+      scores[i].push({ v: t.v, cluster: t.c.id, score: sc });
+      if (sc > bestScore){ bestScore = sc; best = t.v; }
     }
-    return goals;
-  },
-  igMinus(sim, lambda=1.0){
-    const goals=[], fr=sim.frontiers();
-    if (fr.length === 0) {
-      for (const [rx, ry] of sim.robots) goals.push(nearestUnknown(sim, rx, ry));
-      return goals;
-    }
-    for (const [rx,ry] of sim.robots){
-      let best=[rx,ry], bestScore=-1e9;
-      for (const [fx,fy] of fr){
-        const v = vantageForFrontier(sim, rx, ry, fx, fy);
-        if (!v) continue;
-        const d = bfsDist(sim, rx, ry, v[0], v[1]);
-        if (d == null) continue;
-        const ig=infoGain(sim,fx,fy,sim.cfg.infoRadius);
-        const score = ig - lambda * d + 1e-4*(sim._rng()-0.5);
-        if (score>bestScore){ bestScore=score; best=v; }
+    return (fallback === 'stuck' && best[0] === rx && best[1] === ry) ? nearestUnknown(sim, rx, ry) : best;
+  });
+  goals.scores = scores;
+  return goals;
+}
+
+registerPolicy('nf', { label: 'Nearest frontier', terms: [['distance']], fallback: 'stuck' });
+registerPolicy('igRatio', { label: 'Info gain / distance', terms: [['gainPerDist'], ['jitter']] });
+registerPolicy('igMinus', { label: 'Info gain − distance', terms: [['infoGain'], ['distance'], ['jitter']] });
+registerPolicy('cqliteLite', { label: 'CQLite-lite', terms: [['infoGain', { weight: 3 }], ['distance'], ['hysteresis'], ['jitter']] });
+registerPolicy('fusion', { label: 'Fusion scan-guided', terms: [['distance'], ['scanHint']], fallback: 'stay', scan: 'fusion' });
+registerPolicy('safeIg', { label: 'Info gain, hazard-averse', terms: [['infoGain', { weight: 2 }], ['distance'], ['hazard'], ['hysteresis'], ['jitter']] });
+// Victim search: frontier vantages plus a lattice of known free spots,
+// scored by a blend of map gain and searchGain (weight, default
+// cfg.searchWeight: 0 = coverage only, 1 = search only) minus travel. Keeps
+// searching once the map is complete; when no vantage adds anything, goes
+// to the nearest cell still worth a look.
+registerPolicy('search', { label: 'Victim search', params: { weight: null, lambda: 0.5 }, pick(sim, params){
+  const w=params.weight ?? sim.cfg.searchWeight, lambda=params.lambda;
+  const N=sim.cfg.size, R=sim.cfg.sensorRange, lattice=Math.max(2, R);
+  const scores=sim.robots.map(() => []);
+  const goals=sim.robots.map(([rx,ry], i) => {
+    const field=sim.distanceField(i);
+    // a frontier whose vantage the robot stands on has shown all it can
+    const cand=clusterTargets(sim, i).map(t => ({ v: t.v, d: t.d, cluster: t.c.id, ig: t.d ? infoGain(sim, t.c.rep[0], t.c.rep[1], sim.cfg.infoRadius) : 0 }));
+    for (let x=lattice>>1; x<N; x+=lattice) for (let y=lattice>>1; y<N; y+=lattice){
+      const d=field[y*N+x];
+      if (sim.map[x][y]===FREE && d>=0) cand.push({ v: [x,y], d, ig: 0 });
+    }
+    let best=null, bestScore=-Infinity;
+    for (const c of cand){
+      const gain=(1-w)*c.ig + w*searchGain(sim, c.v[0], c.v[1], R);
+      if (gain <= 0) continue;
+      const sc=gain - lambda*c.d;
+      scores[i].push({ v: c.v, cluster: c.cluster, score: sc });
+      if (sc>bestScore){ bestScore=sc; best=c.v; }
+    }
+    if (best) return best;
+    let near=Infinity;
+    for (let x=0; x<N; x++) for (let y=0; y<N; y++){
+      const d=field[y*N+x];
+      if (d>0 && d<near && sim.map[x][y]===FREE && sim._searched[y*N+x] < SEARCH_LOOKS){ near=d; best=[x,y]; }
+    }
+    return best ?? nearestUnknown(sim, rx, ry);
+  });
+  goals.scores=scores;
+  return goals;
+} });
+
+// Next best view: sampled poses (frontier vantages, random reachable free
+// cells and, with a narrow sensor, the robot's own cell), each with the
+// headings its sensor sweeps through on arrival (scanning in place turns the
+// head by one fov). A view's gain is viewGain out to scanRange (null: the
+// sensorRange − 1 every move reveals, whatever plan runs); the pose with the
+// most gain per second of travel and scanning wins, scanMs per step (null:
+// the LiDAR-only plan). Cells earlier robots will see count only for what
+// they leave uncertain.
+registerPolicy('nbv', { label: 'Next best view (entropy)', params: { samples: 32, scanMs: null, scanRange: null }, scan: 'fusion', pick(sim, params){
+  const N=sim.cfg.size, c=sim.cfg, fov=c.sensorFov, range=params.scanRange ?? Math.max(1, c.sensorRange - 1);
+  const scanS=(params.scanMs ?? planCost([['lidar_scan']]).ms) / 1000, stepS=1 / Math.max(1e-6, c.robotSpeed || 1);
+  const sweeps=fov >= 2*Math.PI - 1e-9 ? 1 : Math.ceil(2*Math.PI / fov);
+  const taken=new Float32Array(N*N), scores=sim.robots.map(() => []);
+  const goals=sim.robots.map(([rx,ry], i) => {
+    const field=sim.distanceField(i), cand=sweeps > 1 ? [[rx,ry]] : [], seen=new Set([ry*N+rx]);
+    const add=(x,y) => { if (!seen.has(y*N+x)){ seen.add(y*N+x); cand.push([x,y]); } };
+    const cluster=new Map();
+    for (const t of clusterTargets(sim, i)){ add(t.v[0], t.v[1]); cluster.set(t.v[1]*N+t.v[0], t.c.id); }
+    const free=[];
+    for (let x=0; x<N; x++) for (let y=0; y<N; y++) if (field[y*N+x] > 0 && sim.map[x][y]===FREE) free.push([x,y]);
+    for (let k=0; k<params.samples && free.length; k++) add(...free[Math.floor(sim._rand('nbv') * free.length)]);
+    let best=null, bestRate=0, bestVis=null;
+    for (const [x,y] of cand){
+      const d=field[y*N+x];
+      if (d < 0) continue;
+      // arrival heading: along the last leg, roughly from the robot
+      const h0=d ? Math.atan2(y-ry, x-rx) : sim.headings[i];
+      const vis=new Map();
+      let gain=0, top=0;
+      for (let j=0; j<sweeps; j++){
+        gain=viewGain(sim, x, y, range, h0 + j*fov, vis, taken);
+        const rate=gain / (d*stepS + (Math.max(d, 1) + j)*scanS);
+        top=Math.max(top, rate);
+        if (rate > bestRate){ bestRate=rate; best=[x,y]; bestVis=new Map(vis); }
       }
-      goals.push(best);
+      scores[i].push({ v: [x,y], cluster: cluster.get(y*N+x), score: top });
+    }
+    if (!best) return nearestUnknown(sim, rx, ry);
+    for (const [id, p] of bestVis) taken[id]=Math.max(taken[id], p);
+    return best;
+  });
+  goals.scores=scores;
+  return goals;
+} });
+
+// ---- Coordinated multi-robot exploration ----
+// Every team policy works on the same candidate set: frontier clusters with,
+// per robot, the cheapest FREE vantage cell (one distance field per robot).
+// The returned goals carry `goals.stats` with per-robot cost and shared goals,
+// and `goals.scores` (as the single-robot policies) from each policy's bid.
+function teamCandidates(sim){
+  const perRobot = sim.robots.map((_, i) => new Map(clusterTargets(sim, i).map(t => [t.c.id, t])));
+  const cand = [];
+  for (const c of sim.frontierClusters()){
+    const vant = perRobot.map(m => m.get(c.id) || null);
+    if (vant.some(Boolean)) cand.push({ id: c.id, f: c.rep, vant, ig: infoGain(sim,c.rep[0],c.rep[1],sim.cfg.infoRadius) });
+  }
+  return cand;
+}
+
+// score(c, vantage): what robot i bid for candidate c (higher is better)
+function teamResult(sim, picks, name, cand, score = (c, vt) => -vt.d){
+  const goals = sim.robots.map(([rx,ry], i) => picks[i] ? picks[i].v : nearestUnknown(sim, rx, ry));
+  goals.scores = sim.robots.map((_, i) => cand.filter(c => c.vant[i]).map(c => ({ v: c.vant[i].v, cluster: c.id, score: score(c, c.vant[i]) })));
+  const keys = new Set(goals.map(([x,y]) => `${x},${y}`));
+  goals.stats = {
+    policy: name,
+    costs: picks.map(p => p ? p.d : null),
+    sharedGoals: goals.length - keys.size
+  };
+  return goals;
+}
+
+const near = (a, b, r) => Math.abs(a[0]-b[0]) + Math.abs(a[1]-b[1]) <= r;
+
+export const teamPolicies = {
+  // Greedy auction: repeatedly award the globally cheapest (robot, frontier)
+  // bid; frontiers within claimRadius of an awarded one are withdrawn.
+  auction(sim, params={}){
+    const claimR = params.claimRadius ?? sim.cfg.sensorRange;
+    const cand = teamCandidates(sim), R = sim.robots.length;
+    const bids = [];
+    cand.forEach((c, j) => c.vant.forEach((vt, i) => { if (vt) bids.push([vt.d, i, j]); }));
+    bids.sort((a, b) => a[0]-b[0] || a[1]-b[1] || a[2]-b[2]);
+    const picks = Array(R).fill(null), claimed = [];
+    for (const [d, i, j] of bids){
+      if (picks[i]) continue;
+      if (claimed.some(f => near(f, cand[j].f, claimR))) continue;
+      picks[i] = cand[j].vant[i]; claimed.push(cand[j].f);
+      if (claimed.length === R) break;
     }
-    return goals;
+    return teamResult(sim, picks, 'auction', cand);
   },
-  cqliteLite(sim, params={}){
-    const hystR=params.hystRadius ?? 3.0;
-    const hystG=params.hystGain ?? 2.0;
-    const goals=[], fr=sim.frontiers();
-    if (fr.length === 0) {
-      for (const [rx, ry] of sim.robots) goals.push(nearestUnknown(sim, rx, ry));
-      return goals;
-    }
-    for (const [rx,ry] of sim.robots){
-      let best=[rx,ry], bestScore=-1e9;
-      for (const [fx,fy] of fr){
-        const v = vantageForFrontier(sim, rx, ry, fx, fy);
-        if (!v) continue;
-        const d = bfsDist(sim, rx, ry, v[0], v[1]);
-        if (d == null) continue;
-        const ig=infoGain(sim,fx,fy,sim.cfg.infoRadius);
-        const hyst = (Math.abs(rx-fx)+Math.abs(ry-fy)) <= hystR ? hystG : 0.0;
-        const score = 3.0*ig - d + hyst + 1e-4*(sim._rng()-0.5);
-        if (score>bestScore){ bestScore=score; best=v; }
-      }
-      goals.push(best);
+  // Optimal one-to-one assignment over the bfsDist cost matrix (Hungarian).
+  hungarian(sim){
+    const cand = teamCandidates(sim), R = sim.robots.length;
+    if (!cand.length) return teamResult(sim, Array(R).fill(null), 'hungarian', cand);
+    const BIG = 1e6;
+    const cost = sim.robots.map((_, i) => cand.map(c => c.vant[i] ? c.vant[i].d : BIG));
+    const assign = hungarian(cost);
+    const picks = assign.map((j, i) => (j >= 0 && cand[j].vant[i]) ? cand[j].vant[i] : null);
+    // more robots than frontiers: the extras take their own cheapest frontier
+    for (let i = 0; i < R; i++){
+      if (picks[i]) continue;
+      let best = null;
+      for (const c of cand) if (c.vant[i] && (!best || c.vant[i].d < best.d)) best = c.vant[i];
+      picks[i] = best;
     }
-    return goals;
+    return teamResult(sim, picks, 'hungarian', cand);
   },
+  // Sequential selection with utility discounting around claimed goals
+  // (Burgard et al.): U_j ← U_j · (1 − P(visible from claimed goal)).
+  discount(sim, params={}){
+    const beta = params.beta ?? 1.0, range = params.range ?? sim.cfg.sensorRange + 1;
+    const cand = teamCandidates(sim), R = sim.robots.length;
+    const util = cand.map(c => c.ig);
+    const picks = Array(R).fill(null);
+    for (let i = 0; i < R; i++){
+      let bestJ = -1, bestS = -Infinity;
+      cand.forEach((c, j) => {
+        if (!c.vant[i]) return;
+        const score = util[j] - beta * c.vant[i].d;
+        if (score > bestS){ bestS = score; bestJ = j; }
+      });
+      if (bestJ < 0) continue;
+      picks[i] = cand[bestJ].vant[i];
+      const g = cand[bestJ].f;
+      cand.forEach((c, j) => {
+        const d = Math.hypot(c.f[0]-g[0], c.f[1]-g[1]);
+        if (d < range) util[j] *= d / range;
+      });
+    }
+    return teamResult(sim, picks, 'discount', cand, (c, vt) => c.ig - beta * vt.d);
+  }
 };
 
+// Hungarian algorithm (rows ≤ cols), O(n²m). Returns, per row, the assigned
+// column or -1 when there are more rows than columns.
+function hungarian(cost){
+  const n = cost.length, m = cost[0].length;
+  if (n > m){
+    // transpose, solve, and invert the assignment
+    const t = Array.from({ length: m }, (_, j) => cost.map(row => row[j]));
+    const colToRow = hungarian(t);
+    const out = Array(n).fill(-1);
+    colToRow.forEach((i, j) => { if (i >= 0) out[i] = j; });
+    return out;
+  }
+  const u = new Float64Array(n+1), v = new Float64Array(m+1);
+  const p = new Int32Array(m+1), way = new Int32Array(m+1);
+  for (let i = 1; i <= n; i++){
+    p[0] = i;
+    let j0 = 0;
+    const minv = new Float64Array(m+1).fill(Infinity), used = new Uint8Array(m+1);
+    do {
+      used[j0] = 1;
+      const i0 = p[j0];
+      let delta = Infinity, j1 = 0;
+      for (let j = 1; j <= m; j++){
+        if (used[j]) continue;
+        const cur = cost[i0-1][j-1] - u[i0] - v[j];
+        if (cur < minv[j]){ minv[j] = cur; way[j] = j0; }
+        if (minv[j] < delta){ delta = minv[j]; j1 = j; }
+      }
+      for (let j = 0; j <= m; j++){
+        if (used[j]){ u[p[j]] += delta; v[j] -= delta; }
+        else minv[j] -= delta;
+      }
+      j0 = j1;
+    } while (p[j0] !== 0);
+    do { const j1 = way[j0]; p[j0] = p[j1]; j0 = j1; } while (j0);
+  }
+  const out = Array(n).fill(-1);
+  for (let j = 1; j <= m; j++) if (p[j]) out[p[j]-1] = j-1;
+  return out;
+}
+
+// ---- Composite sensing plans ----
+// Per-action model fitted to good_rewrites.json (est_time_ms, mean_watts):
+// ms = duration, watts = draw while active, reveal = fraction of sensorRange
+// uncovered through the LOS sensor, range = detection range in cells, victim =
+// the victim detectability channel the action reads (Sim._tryVictim).
+export const SENSOR_ACTIONS = {
+  lidar_scan:   { ms: 2010, watts: 15, reveal: 1.0, victim: 'visual' },
+  thermal_snap: { ms: 790,  watts: 5,  reveal: 0.75, range: 6, victim: 'thermal' },
+  gas_sniff:    { ms: 975,  watts: 8,  range: 4 },
+  audio_probe:  { ms: 460,  watts: 2,  range: 8, victim: 'audio' },
+  wait:         { ms: 555,  watts: 1 },
+};
+// Parallel actions overlap imperfectly (shared bus / settling): a group lasts
+// max + overlap·(sum − max) plus a fixed sync cost.
+export const PLAN_TIMING = { overlap: 0.2, syncMs: 45 };
+
+// Duration/energy of a plan: { ms, energyJ, groups: [{ actions, start, ms }] }.
+// `watts` optionally overrides the per-action power draw.
+export function planCost(plan, watts = null){
+  if (!Array.isArray(plan) || !plan.length) throw new Error('plan must be a non-empty array of groups');
+  let t=0, energyJ=0;
+  const groups = plan.map(group => {
+    const actions = Array.isArray(group) ? group : [group];
+    if (!actions.length) throw new Error('plan group is empty');
+    const ds = actions.map(a => {
+      const spec = SENSOR_ACTIONS[a];
+      if (!spec) throw new Error(`unknown sensor action: ${a}`);
+      energyJ += (watts?.[a] ?? spec.watts) * spec.ms / 1000;
+      return spec.ms;
+    });
+    const mx = Math.max(...ds), sum = ds.reduce((x,y)=>x+y,0);
+    const ms = mx + PLAN_TIMING.overlap*(sum - mx) + PLAN_TIMING.syncMs;
+    const g = { actions, start: t, ms };
+    t += ms;
+    return g;
+  });
+  return { ms: t, energyJ, groups };
+}
+
+// Fusion scan-time hint (seconds) from the model's best predicted ms.
+// Mildly clutter-dependent and kept within a fast, realistic band; without
+// a model we fall back to a heuristic that is still faster than baseline.
+export function fusionScanS(bestMs, clutter) {
+  if (bestMs != null) {
+    const hintS = (bestMs / 1000.0) * (0.6 + 0.4 * clutter);
+    return Math.min(0.80, Math.max(0.15, hintS));
+  }
+  return 0.25 + 0.50 * clutter;  // ∈ [0.25, 0.75]
+}
+
+// Pick frontiers by minimizing (travelDistance + scanTimeHint); the hint uses
+// each robot's locally estimated clutter (policies.fusion with bestMs).
+export function pickFusionScanGuided(sim, bestMs = null) {
+  return policies.fusion(sim, { scanHint: { bestMs } });
+}
+
+// Environment context at robot i's pose, from what the robot can know or feel:
+//   size_m2  explored (known) area in m²
+//   clutter  obstacle share of known cells within max(sensorRange, infoRadius),
+//            shrunk towards cfg.obstacleProb while few cells are known
+//   heat/gas exposure in [0,1] from nearby sources (intensity × linear falloff
+//            over r + EXPOSURE_REACH cells), as an on-board probe would read it
+//   noise    sensor corruption rate (sensorNoise)
+//   charge   remaining battery fraction (1 without a battery)
+const EXPOSURE_REACH = 6, CLUTTER_PRIOR_CELLS = 8;
+export function estimateContext(sim, i = 0) {
+  const c = sim.cfg, N = c.size, [rx, ry] = sim.robots[i];
+  const R = Math.max(c.sensorRange, c.infoRadius);
+  let known = 0, obst = 0;
+  for (let x = Math.max(0, rx-R); x <= Math.min(N-1, rx+R); x++)
+    for (let y = Math.max(0, ry-R); y <= Math.min(N-1, ry+R); y++) {
+      if ((x-rx)*(x-rx) + (y-ry)*(y-ry) > R*R || sim.map[x][y] === UNK) continue;
+      known++;
+      if (sim.map[x][y] === OBST) obst++;
+    }
+  const clutter = (obst + CLUTTER_PRIOR_CELLS*c.obstacleProb) / (known + CLUTTER_PRIOR_CELLS);
+  let heat = 0, gas = 0;
+  for (const h of sim.hazards) {
+    if (h.out) continue;
+    const e = h.intensity * Math.max(0, 1 - Math.hypot(rx-h.x, ry-h.y) / (h.r + EXPOSURE_REACH));
+    if (h.kind === 'gas') gas = Math.max(gas, e); else heat = Math.max(heat, e);
+  }
+  const size_m2 = sim.coverage() * N * N * c.cellM * c.cellM;
+  return { size_m2, clutter, heat, gas, noise: sim.sensorNoise(), charge: sim.batteryFrac(i) };
+}
+
+// Rank sensing plans for a context: candidates [{ plan, pred_ms? }] →
+// [{ candidate, cost, energyJ }] cheapest first. Base cost is the predicted
+// (or modelled) duration, inflated for every condition the plan does not
+// cover (hazards count double): heat without a thermal camera, gas without a
+// sniffer, clutter without a revealing sensor, noise with a single modality.
+// Energy (at `watts`, a sim's cfg.sensorWatts overrides) is priced in ms per
+// J, up to 4× dearer as ctx.charge runs out.
+// A plan planCost cannot time (no steps, unknown actions) cannot run: it ranks
+// after every plan that can, in input order.
+const ENERGY_MS_PER_J = 40;
+export function rankPlans(candidates, ctx, watts = null) {
+  const price = ENERGY_MS_PER_J * (1 + 3*(1 - (ctx.charge ?? 1)));
+  return candidates.map(cand => {
+    let timed;
+    try { timed = planCost(cand.plan, watts); }
+    catch { return { candidate: cand, cost: Infinity, energyJ: 0 }; }
+    const acts = new Set(cand.plan.flat());
+    const base = cand.pred_ms ?? timed.ms;
+    const sensors = [...acts].filter(a => a !== 'wait').length;
+    const miss = (acts.has('thermal_snap') ? 0 : 2*ctx.heat)
+      + (acts.has('gas_sniff') ? 0 : 2*ctx.gas)
+      + ([...acts].some(a => SENSOR_ACTIONS[a]?.reveal) ? 0 : 2*ctx.clutter)
+      + (sensors > 1 ? 0 : ctx.noise);
+    return { candidate: cand, cost: base * (1 + miss) + price * timed.energyJ, energyJ: timed.energyJ };
+  }).sort((a, b) => a.cost === b.cost ? 0 : a.cost - b.cost);
+}
+
+// Best plan for a context: { candidate, cost } or null (none can run).
+export function pickPlan(candidates, ctx, watts = null) {
+  const best = rankPlans(candidates, ctx, watts)[0];
+  return best && best.cost < Infinity ? best : null;
+}
+
+// Bresenham rays from (cx,cy) over sim.gt within `range` cells and a `fov`
+// cone centred on `heading`. visit(x,y) is called for every cell a ray
+// reaches, including the blocking obstacle; rays stop at the first OBST.
+// Each ray is dropped with probability cfg.sensorDropout (the sim's seeded
+// dropout stream).
+export function castRays(sim, cx, cy, range, heading, fov, visit){
+  const dropout = sim.cfg.sensorDropout || 0;
+  traceRays(sim.cfg.size, cx, cy, range, heading, fov,
+    (x,y) => { visit(x,y); return sim.gt[x][y]===OBST; },
+    dropout > 0 ? () => sim._rand('dropout') < dropout : null);
+}
+
+// The sensor's ray pattern: visit(x,y, ray) for every in-range cell along each
+// ray until it returns true; drop() → true skips a ray.
+function traceRays(N, cx, cy, range, heading, fov, visit, drop = null){
+  const full = fov >= 2*Math.PI - 1e-9;
+  const rays = Math.max(1, Math.ceil(fov * range * 2)) + (full ? 0 : 1);
+  for (let k=0; k<rays; k++){
+    if (drop && drop()) continue;
+    const a = full ? (k / rays) * 2*Math.PI : heading - fov/2 + fov * (rays===1 ? 0.5 : k/(rays-1));
+    const ex = cx + Math.round(range*Math.cos(a)), ey = cy + Math.round(range*Math.sin(a));
+    // Bresenham from (cx,cy) to (ex,ey)
+    let x=cx, y=cy;
+    const dx=Math.abs(ex-cx), dy=-Math.abs(ey-cy), sx=cx<ex?1:-1, sy=cy<ey?1:-1;
+    let err=dx+dy;
+    while (x!==ex || y!==ey){
+      const e2=2*err;
+      if (e2>=dy){ err+=dy; x+=sx; }
+      if (e2<=dx){ err+=dx; y+=sy; }
+      if (x<0||y<0||x>=N||y>=N) break;
+      if ((x-cx)*(x-cx)+(y-cy)*(y-cy) > range*range) break;
+      if (visit(x,y,k)) break;
+    }
+  }
+}
+
+// Expected information from a look at (x,y) out to `range` cells along
+// `heading`: every cell the sensor's rays reach on the map, weighted by its
+// occupancy entropy (bits; 1 for unknown, 0 for settled cells: log-odds at
+// the clamp count as settled), by the chance the ray gets there (it passes
+// each earlier cell with 1 − P(occupied), and survives dropout) and by
+// 1 − taken[id] (what other views already cover). vis accumulates the
+// visibility per cell over calls, so successive headings add up; returns the
+// total gain of vis.
+function viewGain(sim, x, y, range, heading, vis, taken){
+  const c=sim.cfg, N=c.size, keep=1 - (c.sensorDropout || 0);
+  const bits=(q) => q <= 0 || q >= 1 ? 0 : -(q*Math.log2(q) + (1-q)*Math.log2(1-q));
+  const floor=sim.logOdds ? bits(1/(1+Math.exp(c.logOddsClamp))) : 0;
+  let reach=1, ray=-1;
+  traceRays(N, x, y, range, heading, c.sensorFov, (cx, cy, k) => {
+    if (k !== ray){ ray=k; reach=keep; }
+    const id=cy*N+cx;
+    if (reach > (vis.get(id) ?? 0)) vis.set(id, reach);
+    reach *= 1 - sim.occupancyProb(cx, cy);
+    return reach < 0.01;
+  });
+  let g=0;
+  for (const [id, p] of vis){
+    const H=bits(sim.occupancyProb(id % N, (id - id % N) / N)) - floor;
+    if (H > 1e-6) g += H * p * (1 - taken[id]);
+  }
+  return g;
+}
+
 // helpers
 function infoGain(sim,x,y,r){
   let ig=0, N=sim.cfg.size;
@@ -317,5 +1462,84 @@ function infoGain(sim,x,y,r){
   }
   return ig;
 }
+// Strongest exposure at (x,y) to detected, still active hazards (as in
+// estimateContext: intensity × linear falloff over r + EXPOSURE_REACH).
+function hazardExposure(sim,x,y){
+  let e=0;
+  for (const h of sim.hazards){
+    if (h.out || !sim._detected.has(h.id)) continue;
+    e=Math.max(e, h.intensity * Math.max(0, 1 - Math.hypot(x-h.x, y-h.y) / (h.r + EXPOSURE_REACH)));
+  }
+  return e;
+}
+const SEARCH_LOOKS = 8;   // looks after which a cell counts as searched
+// Expected victim-search gain at (x,y): known free cells within r in line of
+// sight on the map, each worth the chance that every look so far missed
+// (halved per LiDAR / thermal look).
+function searchGain(sim,x,y,r){
+  const N=sim.cfg.size, m=sim.map;
+  let g=0;
+  for (let i=Math.max(0,x-r); i<=Math.min(N-1,x+r); i++){
+    for (let j=Math.max(0,y-r); j<=Math.min(N-1,y+r); j++){
+      if (m[i][j]!==FREE || (i-x)*(i-x)+(j-y)*(j-y) > r*r) continue;
+      const looks=sim._searched[j*N+i];
+      if (looks >= SEARCH_LOOKS || !mapLOS(m, x, y, i, j)) continue;
+      g += 1 / (1 << looks);
+    }
+  }
+  return g;
+}
+// Bresenham over the map: no known obstacle strictly between the two cells.
+function mapLOS(m, x0, y0, x1, y1){
+  if (x0===x1 && y0===y1) return true;
+  const dx=Math.abs(x1-x0), dy=-Math.abs(y1-y0), sx=x0<x1?1:-1, sy=y0<y1?1:-1;
+  let err=dx+dy, x=x0, y=y0;
+  while (true){
+    const e2=2*err;
+    if (e2>=dy){ err+=dy; x+=sx; }
+    if (e2<=dx){ err+=dx; y+=sy; }
+    if (x===x1 && y===y1) return true;
+    if (m[x][y]===OBST) return false;
+  }
+}
+// Binary min-heap of (key, value) pairs for A*/Dijkstra
+class MinHeap {
+  constructor(){ this.keys=[]; this.vals=[]; }
+  get size(){ return this.keys.length; }
+  push(k, v){
+    const K=this.keys, V=this.vals;
+    let i=K.length; K.push(k); V.push(v);
+    while (i>0){
+      const p=(i-1)>>1;
+      if (K[p]<=k) break;
+      K[i]=K[p]; V[i]=V[p]; i=p;
+    }
+    K[i]=k; V[i]=v;
+  }
+  pop(){
+    const K=this.keys, V=this.vals, top=V[0];
+    const k=K.pop(), v=V.pop(), n=K.length;
+    if (n){
+      let i=0;
+      for (;;){
+        let c=2*i+1;
+        if (c>=n) break;
+        if (c+1<n && K[c+1]<K[c]) c++;
+        if (K[c]>=k) break;
+        K[i]=K[c]; V[i]=V[c]; i=c;
+      }
+      K[i]=k; V[i]=v;
+    }
+    return top;
+  }
+}
 // Choose a reachable FREE vantage cell adjacent to a frontier (fx,fy)
 function mulberry32(a){return function(){let t=a+=0x6D2B79F5;t=Math.imul(t^t>>>15,t|1);t^=t+Math.imul(t^t>>>7,t|61);return ((t^t>>>14)>>>0)/4294967296;}}
+// Uniform [0,1) from a few integers (mixed, then the mulberry32 finaliser).
+function hash01(...ks){
+  let t = 0x9E3779B9;
+  for (const k of ks) t = Math.imul(t ^ (k | 0), 0x85EBCA6B) + 0x6D2B79F5 | 0;
+  t = Math.imul(t ^ t >>> 15, t | 1);
+  t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+  return ((t ^ t >>> 14) >>> 0) / 4294967296;
+}
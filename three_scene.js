@@ -5,6 +5,8 @@ import { GLTFLoader } from "https://cdn.jsdelivr.net/npm/three@0.161/examples/js
 import { EffectComposer } from "https://cdn.jsdelivr.net/npm/three@0.161/examples/jsm/postprocessing/EffectComposer.js";
 import { RenderPass } from "https://cdn.jsdelivr.net/npm/three@0.161/examples/jsm/postprocessing/RenderPass.js";
 import { UnrealBloomPass } from "https://cdn.jsdelivr.net/npm/three@0.161/examples/jsm/postprocessing/UnrealBloomPass.js";
+// per-robot tint for teams (robot 0 keeps the original blue)
+const TEAM_COLORS = [0x2895ff, 0xff9f1c, 0x2ec4b6, 0xe71d36, 0x9b5de5, 0xf15bb5];
 // helper: find contiguous runs of 1’s in a [0/1] array
 function runs(arr) {
   const out = [];
@@ -101,14 +103,31 @@ export class ThreeScene {
     this.scene.add(this.obstacles);
     this.dressing = new THREE.Group();      // broken walls/beams/debris/fires
     this.scene.add(this.dressing);
+    this.dynamic = new THREE.Group();       // world.js state: flames, shut doors, people, debris
+    this.scene.add(this.dynamic);
+    this._dyn = new Map();                  // key → object in this.dynamic
+    this._world = null; this._worldVersion = -1;
+    this.victims = new THREE.Group();       // hidden victims: dim until found
+    this.scene.add(this.victims);
+    this._victimList = null;
+    // policy overlays (setOverlays), each toggled by setOverlayVisible
+    this.overlays = new THREE.Group();
+    this.scene.add(this.overlays);
+    this.overlayOn = { trail: true, goal: true, path: true, clusters: true, heatmap: false };
+    this._ov = { trail: new THREE.Group(), goal: new THREE.Group(), path: new THREE.Group(), clusters: null, heatmap: null };
+    for (const k of ['trail', 'goal', 'path']) this.overlays.add(this._ov[k]);
+    this._trailLines = [];      // per robot, in this._ov.trail
+    this._ovData = {};
     
     // Robot & headlamp
     this.robot = new THREE.Group();
     this.scene.add(this.robot);
     this._hasPose = false;
-    this.motionSlowdown = 1.0;  // lerp divisor
+    this.motionSlowdown = 1.0;  // pose smoothing time, in units of 0.12 s (the app scales it with the run speed)
     this._targetPos = new THREE.Vector3();
     this._targetHeading = 0;
+    this.teammates = [];        // extra robots: { group, targetPos, targetHeading, hasPose }
+    this._robotModel = null;
     
     this.headlamp = new THREE.SpotLight(0xffffff, 1.2, 40, Math.PI/6, 0.4, 1.0);
     this.headlamp.castShadow = true;
@@ -117,11 +136,17 @@ export class ThreeScene {
     this.headlamp.target.position.set(0, 0, -3);
     this.robot.add(this.headlamp.target);
 
-    // LiDAR / thermal / gas containers
+    // Sensor effects (playScan), one per action of the executed plan. They run
+    // on simClock, in sim seconds, which only moves when the app advances it
+    // (advanceClock): a paused run freezes mid-effect, a faster one plays faster.
     this.sensorLayer = new THREE.Group(); this.scene.add(this.sensorLayer);
-    this.lidarPoints = makePointCloud(4000); this.sensorLayer.add(this.lidarPoints);
-    this.scanRing = makeScanRing(); this.sensorLayer.add(this.scanRing);
+    this.simClock = 0;
+    this.lastScanS = 0;         // length of the last scan played
+    this.effects = [];          // { start, dur, update(p), dispose() }
+    this._thermal = 0;          // false-color mix of the POV inset (thermal_snap)
+    this._thermalSnaps = new Set(); // live thermal_snap mixes; _thermal is their max
     this.coverCanvas = null; this.coverCtx = null; this.coverTex = null; this.coverMesh = null;
+    this.shadeCertainty = true;   // shade coverage by occupancy certainty when available
 
     // Attempt to load robot glTF
     this._loadRobot();
@@ -148,21 +173,70 @@ export class ThreeScene {
       model.traverse(o => { if (o.isMesh) { o.castShadow = true; o.receiveShadow = true; o.material.metalness = 0.4; o.material.roughness = 0.6; }});
       model.scale.set(1,1,1);
       model.position.set(0,0,0);
+      this._robotModel = model;
       this.robot.add(model);
     } catch {
-      // fallback: capsule + wheels
-      const body = new THREE.Mesh(new THREE.CapsuleGeometry(0.6, 1.1, 8, 16),
-        new THREE.MeshStandardMaterial({ color: 0x2895ff, metalness: 0.3, roughness: 0.5 }));
-      body.castShadow = true; this.robot.add(body);
-      const wheelGeo = new THREE.CylinderGeometry(0.25,0.25,0.5,16);
-      const wheelMat = new THREE.MeshStandardMaterial({ color: 0x111111, metalness:0, roughness:0.9 });
-      for (const off of [[0.6,-0.1,0.4],[-0.6,-0.1,0.4],[0.6,-0.1,-0.4],[-0.6,-0.1,-0.4]]) {
-        const wh = new THREE.Mesh(wheelGeo, wheelMat); wh.rotation.z = Math.PI/2; wh.position.set(...off);
-        wh.castShadow = true; this.robot.add(wh);
-      }
+      this._robotModel = null;
+      this._addFallbackBody(this.robot, 0);
+    }
+    // teammates created before the model finished loading get re-dressed
+    for (let i = 0; i < this.teammates.length; i++) this._dressTeammate(this.teammates[i], i + 1);
+  }
+
+  // fallback: capsule + wheels, tinted per team index
+  _addFallbackBody(group, idx) {
+    const body = new THREE.Mesh(new THREE.CapsuleGeometry(0.6, 1.1, 8, 16),
+      new THREE.MeshStandardMaterial({ color: TEAM_COLORS[idx % TEAM_COLORS.length], metalness: 0.3, roughness: 0.5 }));
+    body.castShadow = true; group.add(body);
+    const wheelGeo = new THREE.CylinderGeometry(0.25,0.25,0.5,16);
+    const wheelMat = new THREE.MeshStandardMaterial({ color: 0x111111, metalness:0, roughness:0.9 });
+    for (const off of [[0.6,-0.1,0.4],[-0.6,-0.1,0.4],[0.6,-0.1,-0.4],[-0.6,-0.1,-0.4]]) {
+      const wh = new THREE.Mesh(wheelGeo, wheelMat); wh.rotation.z = Math.PI/2; wh.position.set(...off);
+      wh.castShadow = true; group.add(wh);
+    }
+  }
+
+  _dressTeammate(mate, idx) {
+    while (mate.group.children.length) mate.group.remove(mate.group.children[0]);
+    if (this._robotModel) mate.group.add(this._robotModel.clone());
+    else this._addFallbackBody(mate.group, idx);
+    // colored marker disc so teammates are told apart even with the glTF model
+    const disc = new THREE.Mesh(new THREE.RingGeometry(0.9, 1.1, 32),
+      new THREE.MeshBasicMaterial({ color: TEAM_COLORS[idx % TEAM_COLORS.length], side: THREE.DoubleSide }));
+    disc.rotation.x = -Math.PI/2; disc.position.y = 0.05;
+    mate.group.add(disc);
+  }
+
+  // Robots beyond the first (which owns the chase camera, headlamp and POV).
+  setRobotCount(n) {
+    const want = Math.max(0, n - 1);
+    while (this.teammates.length > want) this.scene.remove(this.teammates.pop().group);
+    while (this.teammates.length < want) {
+      const mate = { group: new THREE.Group(), targetPos: new THREE.Vector3(), targetHeading: 0, hasPose: false };
+      this._dressTeammate(mate, this.teammates.length + 1);
+      this.scene.add(mate.group);
+      this.teammates.push(mate);
     }
   }
 
+  // poses: [[x,y], ...] grid cells for every robot; headings in scene convention
+  setRobotGridPoses(poses, headings = []) {
+    this.setRobotCount(poses.length);
+    poses.forEach(([x, y], i) => {
+      if (i === 0) { this.setRobotGridPose(x, y, headings[0] ?? this._targetHeading); return; }
+      const mate = this.teammates[i - 1];
+      const p = this.cellToWorld(x, y);
+      p.y = 0.2;
+      mate.targetPos.copy(p);
+      mate.targetHeading = headings[i] ?? mate.targetHeading;
+      if (!mate.hasPose) {
+        mate.group.position.copy(p);
+        mate.group.rotation.y = mate.targetHeading;
+        mate.hasPose = true;
+      }
+    });
+  }
+
   setRobotGridPose(x, y, headingRad=0) {
     const p = this.cellToWorld(x,y);
     p.y = 0.2;
@@ -173,52 +247,252 @@ export class ThreeScene {
       this.robot.rotation.y = this._targetHeading;
       this._hasPose = true;
     }
-  }    
+  }
+  // Put every robot at its target pose now (after a fast-forward or a jump).
+  snapPoses() {
+    if (this._hasPose) {
+      this.robot.position.copy(this._targetPos);
+      this.robot.rotation.y = this._targetHeading;
+    }
+    for (const mate of this.teammates) {
+      if (!mate.hasPose) continue;
+      mate.group.position.copy(mate.targetPos);
+      mate.group.rotation.y = mate.targetHeading;
+    }
+  }
   buildObstaclesFromGrid(gt, opts = {}) {
     // (Re)create ground & grid for this N and center world
     const N = gt.length;
     this._setupGroundAndGrid(N);
     this._gt = gt; // keep GT for perimeter wall gaps
-    this._simpleRoom = !!opts.simpleRoom;
     while (this.solids.children.length)    this.solids.remove(this.solids.children[0]);
     while (this.obstacles.children.length) this.obstacles.remove(this.obstacles.children[0]);
     while (this.dressing.children.length)  this.dressing.remove(this.dressing.children[0]);
-    
-    // Clear obstacles
-    if (this._simpleRoom) {
-      this._buildSimpleLayout(gt.length);
-      this._addSimpleRoof(gt.length);
-      this._spawnFiresSimple(gt.length, 2); // a few large fires (also mark GT)
-      return;
-    }
-    // Big visible fires where the GT has hazards (OBST = 1)
-    // Clustered hazards: fewer but larger
-    const fireChance = this._simpleRoom ? 0.0 : 0.08; // no fires in the simple fallback layout
-    for (let x=1;x<N-1;x++){
-      for (let y=1;y<N-1;y++){
-        if (gt[x][y] !== 1 || Math.random()>fireChance) continue;
-        const p = this.cellToWorld(x,y);
-        const fire = makeFireStack(this.cell*4.0);
-        fire.position.set(p.x, 0.02, p.z);
-        // ── mark the sim.gt so the robot won’t step into this fire area
-        const xi = Math.round((p.x + this.halfSpan) / this.cell);
-        const yi = Math.round((p.z + this.halfSpan) / this.cell);
-        const Ncells = this._gt.length;
-        // fireGraphicDiameter = cell*4.0 → radius in cells = 4/2 = 2
-        const r = 2;
-        for (let dx = -r; dx <= r; dx++) {
-          for (let dy = -r; dy <= r; dy++) {
-            const xx = xi + dx, yy = yi + dy;
-            if (xx >= 0 && yy >= 0 && xx < Ncells && yy < Ncells && dx*dx + dy*dy <= r*r) {
-              this._gt[xx][yy] = 1; // OBST
-            }
-          }
-        }
-        this.obstacles.add(fire);
+    this._clearDynamic();
+    this.syncVictims(null);
+    this.clearOverlays();
+    this.clearEffects();
+
+    // Hazards come from the Sim (seeded, identical in both panels); we only render them.
+    // With a dynamic world (opts.world) fires are drawn per burning cell by syncWorld.
+    const hazards = opts.hazards || [], world = opts.world || null;
+    this._buildHazards(world ? hazards.filter(h => h.kind !== 'fire') : hazards);
+    // Everything is drawn from the GT, so the scene is exactly the Sim's layout.
+    // Fire footprints, furniture and the world's doors, people and debris are
+    // OBST in the GT but must not turn into wall meshes
+    const wallGt = gt.map(col => col.slice());
+    if (world) {
+      const s = world.snapshot();
+      for (const [x, y] of [...s.burning, ...s.debris, ...s.movers.map(m => [m.x, m.y]), ...s.doors.flatMap(d => d.cells)])
+        wallGt[x][y] = 0;
+    }
+    for (const h of hazards) {
+      if (h.kind !== 'fire') continue;
+      for (let dx = -h.r; dx <= h.r; dx++) for (let dy = -h.r; dy <= h.r; dy++) {
+        const xx = h.x + dx, yy = h.y + dy;
+        if (xx >= 0 && yy >= 0 && xx < N && yy < N && dx*dx + dy*dy <= h.r*h.r) wallGt[xx][yy] = 0;
+      }
+    }
+    const furniture = opts.layout?.furniture || [];
+    for (const f of furniture)
+      for (let x = f.x; x < f.x + f.w; x++) for (let y = f.y; y < f.y + f.h; y++) wallGt[x][y] = 0;
+    this._buildHouseInterior(wallGt);
+    this._buildFurniture(furniture);
+    this.syncWorld(world);
+  }
+  // Dynamic world (world.js): flames on burning cells with one light per fire,
+  // scorch marks, shut doors, people and debris. Keyed by cell so only what
+  // changed since the last call is added or removed; a no-op while the
+  // world's version is unchanged.
+  syncWorld(world) {
+    if (!world) { this._clearDynamic(); return; }
+    if (world === this._world && world.version === this._worldVersion) return;
+    this._world = world; this._worldVersion = world.version;
+    const s = world.snapshot(), want = new Map(), c = this.cell;
+    const put = (key, x, y, make) => want.set(key, { x, y, make });
+    const fires = new Map();   // hazard id → [sum x, sum y, cells]
+    for (const [x, y, h] of s.burning) {
+      put(`fire:${x},${y}`, x, y, () => makeFireStack(c, { light: false, count: 5 }));
+      const f = fires.get(h) ?? [0, 0, 0];
+      f[0] += x; f[1] += y; f[2]++;
+      fires.set(h, f);
+    }
+    for (const [h, [sx, sy, n]] of fires) put(`light:${h}`, sx / n, sy / n, () => makeFireLight(c * Math.sqrt(n)));
+    for (const [x, y] of s.burnt) put(`burnt:${x},${y}`, x, y, () => makeScorch(c));
+    s.doors.forEach((d, i) => { if (!d.open) for (const [x, y] of d.cells) put(`door:${i}:${x},${y}`, x, y, () => makeDoorPanel(c, d.cells)); });
+    s.movers.forEach((m, i) => put(`person:${i}`, m.x, m.y, () => makePerson(c, i)));
+    for (const [x, y] of s.debris) put(`debris:${x},${y}`, x, y, () => makeDebris(c));
+    for (const [key, o] of this._dyn) {
+      if (want.has(key)) continue;
+      this.dynamic.remove(o); disposeTree(o); this._dyn.delete(key);
+    }
+    for (const [key, { x, y, make }] of want) {
+      let o = this._dyn.get(key);
+      if (!o) { o = make(); this.dynamic.add(o); this._dyn.set(key, o); }
+      const p = this.cellToWorld(x, y);
+      o.position.set(p.x, o.position.y, p.z);   // people and fire lights move
+    }
+  }
+  // Victims ({ id, x, y }) lying on the floor; the ones in `found` (ids) get
+  // a beacon. Rebuilt only when the victim list itself changes.
+  syncVictims(victims, found = []) {
+    if (victims !== this._victimList) {
+      for (const o of [...this.victims.children]) { this.victims.remove(o); disposeTree(o); }
+      this._victimList = victims ?? null;
+      for (const v of victims ?? []) {
+        const o = makeVictim(this.cell);
+        const p = this.cellToWorld(v.x, v.y);
+        o.position.set(p.x, 0, p.z);
+        o.userData.id = v.id;
+        this.victims.add(o);
       }
     }
-    this._buildHouseInterior(gt);
-    this._buildRoomsAndFurniture(gt.length);
+    const ids = new Set(found);
+    for (const o of this.victims.children) o.userData.setFound(ids.has(o.userData.id));
+  }
+  // Policy overlays, in grid cells, per robot: trails (cells driven through),
+  // goals [x,y], paths (planned cells ahead) and scores ([{ v, cluster?, score }]
+  // as policies attach them to their goals); clusters are the frontier
+  // clusters the scores refer to ({ id, cells }). Clusters are tinted by their
+  // best score, the heatmap shows every scored candidate cell. Hidden
+  // overlays are skipped and redrawn from the last data when shown.
+  setOverlays(data = {}) {
+    this._ovData = data;
+    const { trails = [], goals = [], paths = [], clusters = [], scores = [] } = data, on = this.overlayOn;
+    if (on.trail) this._syncTrails(trails);
+    if (on.goal) this._syncGoals(goals);
+    if (on.path) this._syncPaths(paths);
+    if (on.clusters && this._ov.clusters) this._paintClusters(clusters ?? [], scores ?? []);
+    if (on.heatmap && this._ov.heatmap) this._paintHeatmap(scores ?? []);
+  }
+  setOverlayVisible(name, on) {
+    if (!(name in this.overlayOn)) return;
+    this.overlayOn[name] = on;
+    const o = this._ov[name];
+    if (o) (o.mesh ?? o).visible = on;
+    if (on) this.setOverlays(this._ovData);
+  }
+  overlaysWanted() { return Object.values(this.overlayOn).some(Boolean); }
+  clearOverlays() {
+    for (const k of ['trail', 'goal', 'path'])
+      for (const o of [...this._ov[k].children]) { this._ov[k].remove(o); disposeTree(o); }
+    this._trailLines = [];
+    for (const k of ['clusters', 'heatmap']) {
+      const pl = this._ov[k];
+      if (pl) { pl.ctx.clearRect(0, 0, pl.canvas.width, pl.canvas.height); pl.tex.needsUpdate = true; }
+    }
+    this._ovData = {};
+  }
+  // One polyline per robot in a growing buffer; only new cells are written
+  // unless the trail got shorter (a replay seeking back).
+  _syncTrails(trails) {
+    const g = this._ov.trail, lines = this._trailLines;
+    while (lines.length > trails.length) { const l = lines.pop(); g.remove(l); disposeTree(l); }
+    trails.forEach((t, i) => {
+      let line = lines[i];
+      if (line && line.userData.cap < t.length) { g.remove(line); disposeTree(line); line = null; }
+      if (!line) {
+        const cap = Math.max(256, 2 * t.length);
+        const geo = new THREE.BufferGeometry();
+        geo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(cap * 3), 3));
+        line = new THREE.Line(geo, new THREE.LineBasicMaterial({ color: TEAM_COLORS[i % TEAM_COLORS.length], transparent: true, opacity: 0.8 }));
+        line.frustumCulled = false;
+        line.userData = { cap, n: 0 };
+        g.add(line); lines[i] = line;
+      }
+      const pos = line.geometry.getAttribute('position');
+      let n = t.length < line.userData.n ? 0 : line.userData.n;
+      for (; n < t.length; n++) { const p = this.cellToWorld(t[n][0], t[n][1]); pos.setXYZ(n, p.x, 0.1, p.z); }
+      line.userData.n = n;
+      pos.needsUpdate = true;
+      line.geometry.setDrawRange(0, n);
+    });
+  }
+  _syncGoals(goals) {
+    const g = this._ov.goal;
+    while (g.children.length > goals.length) { const o = g.children[g.children.length - 1]; g.remove(o); disposeTree(o); }
+    goals.forEach((cell, i) => {
+      if (!g.children[i]) g.add(makeGoalMarker(this.cell, TEAM_COLORS[i % TEAM_COLORS.length]));
+      const o = g.children[i], p = cell ? this.cellToWorld(cell[0], cell[1]) : null;
+      o.visible = !!p;
+      if (p) o.position.set(p.x, 0, p.z);
+    });
+  }
+  _syncPaths(paths) {
+    const g = this._ov.path;
+    for (const o of [...g.children]) { g.remove(o); disposeTree(o); }
+    paths.forEach((cells, i) => {
+      if (!cells?.length) return;
+      const pts = cells.map(([x, y]) => { const p = this.cellToWorld(x, y); p.y = 0.15; return p; });
+      const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints(pts),
+        new THREE.LineDashedMaterial({ color: TEAM_COLORS[i % TEAM_COLORS.length], dashSize: this.cell * 0.3, gapSize: this.cell * 0.2 }));
+      line.computeLineDistances();
+      g.add(line);
+    });
+  }
+  // Best score per frontier cluster (over robots) → red (worst) … green (best).
+  _paintClusters(clusters, scores) {
+    const pl = this._ov.clusters, best = new Map();
+    for (const list of scores) for (const s of list ?? [])
+      if (s.cluster != null) best.set(s.cluster, Math.max(best.get(s.cluster) ?? -Infinity, s.score));
+    const norm = scoreRange([...best.values()]);
+    pl.ctx.clearRect(0, 0, pl.canvas.width, pl.canvas.height);
+    for (const c of clusters) {
+      pl.ctx.fillStyle = best.has(c.id) ? `hsla(${Math.round(120 * norm(best.get(c.id)))}, 85%, 50%, 0.85)` : 'rgba(148,163,184,0.6)';
+      for (const [x, y] of c.cells) pl.ctx.fillRect(x, y, 1, 1);
+    }
+    pl.tex.needsUpdate = true;
+  }
+  // Every scored candidate cell (best over robots), blue (low) … red (high),
+  // with a faint halo so sparse candidates stay visible.
+  _paintHeatmap(scores) {
+    const pl = this._ov.heatmap, N = pl.canvas.width, cell = new Map();
+    for (const list of scores) for (const s of list ?? []) {
+      const id = s.v[1] * N + s.v[0];
+      cell.set(id, Math.max(cell.get(id) ?? -Infinity, s.score));
+    }
+    const norm = scoreRange([...cell.values()]);
+    pl.ctx.clearRect(0, 0, N, N);
+    for (const [halo, alpha] of [[1, 0.3], [0, 0.85]]) {
+      for (const [id, v] of cell) {
+        const x = id % N, y = (id - x) / N;
+        pl.ctx.fillStyle = `hsla(${Math.round(240 * (1 - norm(v)))}, 90%, 55%, ${alpha})`;
+        pl.ctx.fillRect(x - halo, y - halo, 1 + 2 * halo, 1 + 2 * halo);
+      }
+    }
+    pl.tex.needsUpdate = true;
+  }
+  // N×N canvas texture on a plane over the ground, like the coverage layer.
+  _overlayPlane(N, y, visible) {
+    const canvas = document.createElement('canvas');
+    canvas.width = N; canvas.height = N;
+    const tex = new THREE.CanvasTexture(canvas);
+    tex.magFilter = THREE.NearestFilter; tex.minFilter = THREE.NearestFilter;
+    const mesh = new THREE.Mesh(new THREE.PlaneGeometry(N * this.cell, N * this.cell),
+      new THREE.MeshBasicMaterial({ map: tex, transparent: true, depthWrite: false }));
+    mesh.rotation.x = -Math.PI/2; mesh.position.y = y;
+    mesh.visible = visible;
+    this.overlays.add(mesh);
+    return { canvas, ctx: canvas.getContext('2d'), tex, mesh };
+  }
+  _clearDynamic() {
+    for (const o of this._dyn.values()) { this.dynamic.remove(o); disposeTree(o); }
+    this._dyn.clear();
+    this._world = null; this._worldVersion = -1;
+  }
+  _buildHazards(hazards) {
+    for (const h of hazards) {
+      const p = this.cellToWorld(h.x, h.y);
+      const diam = this.cell * 2 * h.r;
+      let obj;
+      if (h.kind === 'fire')      obj = makeFireStack(diam);
+      else if (h.kind === 'gas')  obj = makeGasCloud(diam, h.intensity);
+      else if (h.kind === 'heat') obj = makeHeatGlow(diam, h.intensity);
+      else continue;
+      obj.position.set(p.x, 0.02, p.z);
+      obj.userData.hazard = h;
+      this.obstacles.add(obj);
+    }
   }
   _box(w, h, d, mat, x, y, z, rotY=0, into='solids') {
     const g = new THREE.BoxGeometry(w, h, d);
@@ -229,141 +503,90 @@ export class ThreeScene {
     this[into].add(mesh);
     return mesh;
   }
-  _addSimpleRoof(N) {
-    const size = N * this.cell;
-    const H = this.cell * 4.2;
-    const roofMat = new THREE.MeshStandardMaterial({
-      color: 0xbfbfbf, roughness: 0.75, metalness: 0.0, side: THREE.DoubleSide
-    });
-    // Safe: _maybeApplyTexture ignores unknown files
-    this._maybeApplyTexture(roofMat, 'roof_basecolor.jpg', 'roof_normal.jpg', 2.0);
-    const roof = new THREE.Mesh(new THREE.PlaneGeometry(size * 0.92, size * 0.92), roofMat);
-    roof.rotation.x = -Math.PI / 2;
-    roof.position.y = H + 0.05;
-    roof.receiveShadow = true;
-    this.solids.add(roof);
-  }
-  _spawnFiresSimple(N, count = 3) {
-    const span = (N * this.cell) * 0.38; // keep fires away from walls
-    let placed = 0;
-    while (placed < count) {
-      const fx = (Math.random() * 2 - 1) * span;
-      const fz = (Math.random() * 2 - 1) * span;
-      // avoid blocking the doorway gap near world z≈0 on the divider x≈0
-      // avoid blocking the corridor (just skip, don’t decrement)
-      if (Math.abs(fz) < this.cell * 2.5 && Math.abs(fx) < this.cell * 1.2) {
+  // Scenario furniture: one piece per footprint rectangle { item, x, y, w, h }.
+  _buildFurniture(furniture){
+    const mats = {
+      wood:   new THREE.MeshStandardMaterial({ color: 0x6e5a43, roughness: 0.85, metalness: 0.05 }),
+      fabric: new THREE.MeshStandardMaterial({ color: 0x5b6b82, roughness: 0.95, metalness: 0.0 }),
+      ct:     new THREE.MeshStandardMaterial({ color: 0xbdb8ae, roughness: 0.85, metalness: 0.05 })
+    };
+    // item → [height in cells, material]
+    const kinds = { table: [0.8, 'wood'], bed: [0.6, 'fabric'], sofa: [0.9, 'fabric'], counter: [0.9, 'ct'] };
+    for (const f of furniture) {
+      const c = this.cellToWorld(f.x + (f.w - 1) / 2, f.y + (f.h - 1) / 2);
+      const w = f.w * this.cell * 0.9, d = f.h * this.cell * 0.9;
+      if (f.item === 'crate') {
+        for (let x = f.x; x < f.x + f.w; x++) for (let y = f.y; y < f.y + f.h; y++) {
+          const crate = makeCrate(this.cell * 0.85, this), p = this.cellToWorld(x, y);
+          crate.position.set(p.x, this.cell * 0.425, p.z);
+          this.solids.add(crate);
+        }
         continue;
       }
-      const fire = makeFireStack(this.cell * 4.0);
-      fire.position.set(fx, 0.02, fz);
-      this.obstacles.add(fire);
-      // Write a circular obstacle patch into the GT so pathing avoids the fire
-      if (this._gt) {
-        const xi = Math.round((fx + this.halfSpan) / this.cell);
-        const yi = Math.round((fz + this.halfSpan) / this.cell);
-        const Ncells = this._gt.length;
-        const r = 2; // ~fire radius in cells
-        for (let dx = -r; dx <= r; dx++) {
-          for (let dy = -r; dy <= r; dy++) {
-            const xx = xi + dx, yy = yi + dy;
-            if (xx >= 0 && yy >= 0 && xx < Ncells && yy < Ncells && dx*dx + dy*dy <= r*r) {
-              this._gt[xx][yy] = 1; // OBST
-            }
-          }
-        }
+      const [hc, mat] = kinds[f.item] ?? [0.8, 'wood'];
+      const h = hc * this.cell;
+      this._box(w, h, d, mats[mat], c.x, h / 2, c.z);
+      if (f.item === 'sofa') {
+        // backrest along the longer side
+        const along = f.w >= f.h;
+        this._box(along ? w : this.cell * 0.2, h * 0.6, along ? this.cell * 0.2 : d, mats.fabric,
+          along ? c.x : c.x - w / 2, h * 1.3, along ? c.z - d / 2 : c.z);
       }
-      placed++;
     }
   }
-  _buildRoomsAndFurniture(N){
-    if (this._simpleRoom) return; // no furniture in the simple fallback layout
 
-    const size = N*this.cell, th=this.cell*0.25, H=this.cell*3.6;
-    const W = size*0.92;
-
-    const wall = new THREE.MeshStandardMaterial({ color: 0xdad7d1, roughness: 0.9, metalness: 0.0 });
-    const ct   = new THREE.MeshStandardMaterial({ color: 0xbdb8ae, roughness: 0.85, metalness: 0.05 });
-    const wood = new THREE.MeshStandardMaterial({ color: 0x6e5a43, roughness: 0.85, metalness: 0.05 });
-    const metal= new THREE.MeshStandardMaterial({ color: 0xb0b7c1, roughness: 0.35, metalness: 0.4 });
-
-    // partition layout (simple cross): hallway in middle
-    // North–South wall (with two interior openings)
-    this._box(W*0.92, H, th, wall, 0, H/2, 0, 0);
-    const gap = this.cell*1.8, seg = (W*0.92 - 2*gap)/3;
-    this._box(seg, H, th, wall, -W*0.46 + seg/2, H/2, 0, 0);
-    this._box(seg, H, th, wall,  W*0.46 - seg/2, H/2, 0, 0);
-    // East–West wall
-    this._box(W*0.92, H, th, wall, 0, H/2, 0, Math.PI/2);
-
-    // Kitchen (NW quadrant)
-    const kx = -W*0.25, kz =  W*0.25;
-    this._box(this.cell*4.0, this.cell*0.9, this.cell*1.2, ct, kx, this.cell*0.45, kz - this.cell*2.0);
-    this._box(this.cell*1.2, this.cell*0.9, this.cell*3.6, ct, kx - this.cell*2.4, this.cell*0.45, kz - this.cell*0.4);
-    this._box(this.cell*1.0, this.cell*2.2, this.cell*1.0, metal, kx - this.cell*1.2, this.cell*1.1, kz + this.cell*0.6);
-    this._box(this.cell*1.0, this.cell*1.1, this.cell*1.0, metal, kx + this.cell*1.2, this.cell*0.55, kz + this.cell*0.6);
-
-    // Living room (NE quadrant)
-    const lx =  W*0.25, lz =  W*0.25;
-    this._box(this.cell*2.6, this.cell*0.9, this.cell*1.0, wood, lx, this.cell*0.45, lz - this.cell*1.2);
-    this._box(this.cell*2.6, this.cell*0.5, this.cell*0.2, wood, lx, this.cell*0.95, lz - this.cell*1.5);
-    this._box(this.cell*1.4, this.cell*0.45, this.cell*0.7, wood, lx, this.cell*0.225, lz - this.cell*2.6);
-
-    // Bedroom (SW quadrant)
-    const bx = -W*0.25, bz = -W*0.25;
-    this._box(this.cell*2.2, this.cell*0.6, this.cell*1.4, wood, bx, this.cell*0.3, bz);
-    this._box(this.cell*0.6, this.cell*0.6, this.cell*0.6, wood, bx + this.cell*1.4, this.cell*0.3, bz + this.cell*0.9);
-
-    // Dining (SE quadrant)
-    const dx =  W*0.25, dz = -W*0.25;
-    this._box(this.cell*2.0, this.cell*0.8, this.cell*1.2, wood, dx, this.cell*0.4, dz);
-    this._box(this.cell*0.5, this.cell*0.6, this.cell*0.5, wood, dx - this.cell*1.0, this.cell*0.3, dz + this.cell*0.9);
-    this._box(this.cell*0.5, this.cell*0.6, this.cell*0.5, wood, dx + this.cell*1.0, this.cell*0.3, dz + this.cell*0.9);
-  }
-
-  playLidarPulse(dirRad=0) {
-    // animate scan ring & raycast points in a cone
-    this.scanRing.visible = true;
-    this.scanRing.material.opacity = 0.7;
-    this.scanRing.scale.set(0.01, 0.01, 0.01);
-    // compute hits
-    const origin = this.robot.position.clone().add(new THREE.Vector3(0, 1.0, 0));
-    const rays=120, maxDist=22, spread=Math.PI/4;
-    const positions = this.lidarPoints.geometry.getAttribute("position");
-    const alphas = this.lidarPoints.geometry.getAttribute("alpha");
-    let idx=0;
+  // Effects for a scan at robot 0's pose: groups [{ actions, start, ms }] as
+  // planCost gives them (sequential groups, parallel actions inside one),
+  // starting now on simClock. opts: { heading (scene convention), fov, range
+  // (cells) }. wait has no effect.
+  playScan(groups, { heading = 0, fov = Math.PI/2, range = 3 } = {}) {
+    const o = { heading, fov, range, origin: this.robot.position.clone() };
+    let end = 0;
+    for (const g of groups) {
+      for (const a of g.actions) {
+        const fx = SENSOR_EFFECTS[a]?.(this, o);
+        if (fx) this.effects.push({ start: this.simClock + g.start/1000, dur: Math.max(1e-3, g.ms/1000), ...fx });
+      }
+      end = Math.max(end, (g.start + g.ms)/1000);
+    }
+    this.lastScanS = end;
+  }
+  advanceClock(dtSim) { this.simClock += Math.max(0, dtSim); }
+  clearEffects() {
+    for (const fx of this.effects) fx.dispose();
+    this.effects = [];
+  }
+  _updateEffects() {
+    const keep = [];
+    for (const fx of this.effects) {
+      const p = (this.simClock - fx.start) / fx.dur;
+      if (p >= 1) { fx.dispose(); continue; }
+      fx.update(Math.max(0, p), p >= 0);
+      keep.push(fx);
+    }
+    this.effects = keep;
+  }
+  // Raycast a LiDAR fan into `cloud` (one point per ray, alpha 0: the sweep
+  // shows the points); returns each point's position along the sweep in [0,1].
+  _castLidar(cloud, origin, dirRad, spread, maxDist) {
+    const o = origin.clone().add(new THREE.Vector3(0, 1.0, 0));
+    const positions = cloud.geometry.getAttribute("position");
+    const alphas = cloud.geometry.getAttribute("alpha");
+    const rays = positions.count, frac = new Float32Array(rays);
     const rc = new THREE.Raycaster();
-    for (let i = 0; i < rays;  i++) {
-      const a = dirRad + (i/(rays-1)-0.5)*spread;
+    for (let i = 0; i < rays; i++) {
+      frac[i] = i/(rays-1);
+      const a = dirRad + (frac[i]-0.5)*spread;
       const dir = new THREE.Vector3(Math.sin(a), 0, -Math.cos(a)).normalize();
-      rc.set(origin, dir);
-      const hits = rc.intersectObjects(this.solids.children, true);
-      const hit = hits.find(h => h.distance < maxDist);
-      const pos = hit ? hit.point : origin.clone().add(dir.multiplyScalar(maxDist));
-      positions.setXYZ(idx, pos.x, pos.y, pos.z);
-      alphas.setX(idx, 1.0);
-      idx++;
-    }
-    for (; idx<positions.count; idx++){ // clear rest
-      positions.setXYZ(idx, 0, -999, 0);
-      alphas.setX(idx, 0.0);
+      rc.set(o, dir);
+      const hit = rc.intersectObjects(this.solids.children, true).find(h => h.distance < maxDist);
+      const pos = hit ? hit.point : o.clone().add(dir.multiplyScalar(maxDist));
+      positions.setXYZ(i, pos.x, pos.y, pos.z);
     }
+    for (let i = 0; i < rays; i++) alphas.setX(i, 0);
     positions.needsUpdate = true;
     alphas.needsUpdate = true;
-  }
-
-  fadeSensors(dt) {
-    // fade lidar points & scan ring
-    const alphas = this.lidarPoints.geometry.getAttribute("alpha");
-    for (let i=0;i<alphas.count;i++){
-      const v = Math.max(0, alphas.getX(i) - dt*1.5);
-      alphas.setX(i, v);
-    }
-    alphas.needsUpdate = true;
-    if (this.scanRing.visible){
-      this.scanRing.material.opacity = Math.max(0, this.scanRing.material.opacity - dt*1.2);
-      this.scanRing.scale.multiplyScalar(1 + dt*2.5);
-      if (this.scanRing.material.opacity <= 0.01) this.scanRing.visible = false;
-    }
+    return frac;
   }
 
   render(showPOV = true) {
@@ -381,13 +604,45 @@ export class ThreeScene {
       // keep its size in sync
       const iw = this.inset.clientWidth, ih = this.inset.clientHeight;
       this.povRenderer.setSize(iw, ih, false);
-      this.povRenderer.render(this.scene, this.camPOV);
+      if (this._thermal > 0) this._renderThermal(iw, ih);
+      else this.povRenderer.render(this.scene, this.camPOV);
     }
   }
 
+  // POV through a false-color (ironbow) pass: brightness and red light read
+  // as heat, blended in by this._thermal.
+  _renderThermal(w, h) {
+    const r = this.povRenderer;
+    if (!this._thermalPass) {
+      const target = new THREE.WebGLRenderTarget(w, h);
+      const mat = new THREE.ShaderMaterial({
+        uniforms: { tDiffuse: { value: target.texture }, mixAmt: { value: 0 } },
+        vertexShader: 'varying vec2 vUv; void main(){ vUv = uv; gl_Position = vec4(position.xy, 0.0, 1.0); }',
+        fragmentShader: `uniform sampler2D tDiffuse; uniform float mixAmt; varying vec2 vUv;
+          vec3 ironbow(float t){ return clamp(vec3(1.6*t, 2.0*t - 0.7, 1.2*sin(3.1416*t) + max(0.0, 4.0*t - 3.0)), 0.0, 1.0); }
+          void main(){
+            vec3 c = texture2D(tDiffuse, vUv).rgb;
+            float heat = clamp(dot(c, vec3(0.2126, 0.7152, 0.0722)) + 0.8*max(0.0, c.r - c.b), 0.0, 1.0);
+            gl_FragColor = vec4(mix(c, ironbow(heat), mixAmt), 1.0);
+          }`,
+        depthTest: false, depthWrite: false
+      });
+      const quad = new THREE.Scene();
+      quad.add(new THREE.Mesh(new THREE.PlaneGeometry(2, 2), mat));
+      this._thermalPass = { target, mat, quad, cam: new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1) };
+    }
+    const tp = this._thermalPass;
+    if (tp.target.width !== w || tp.target.height !== h) tp.target.setSize(w, h);
+    tp.mat.uniforms.mixAmt.value = this._thermal;
+    r.setRenderTarget(tp.target);
+    r.render(this.scene, this.camPOV);
+    r.setRenderTarget(null);
+    r.render(tp.quad, tp.cam);
+  }
+
   tick() {
     const dt = this.clock.getDelta();
-    this.fadeSensors(dt);
+    this._updateEffects();
     if (this._hasPose) {
       const lerp = Math.min(1, dt / (0.12 * this.motionSlowdown));
       this.robot.position.lerp(this._targetPos, lerp);
@@ -403,6 +658,17 @@ export class ThreeScene {
 
       this.controls.target.copy(this.robot.position).add(new THREE.Vector3(0,1.2,0));
       this.controls.update();
+      // POV inset: the sensor head, looking along the heading (as the LiDAR fan)
+      const fwd = new THREE.Vector3(Math.sin(heading), 0, -Math.cos(heading));
+      this.camPOV.position.copy(this.robot.position).add(new THREE.Vector3(0, 1.4, 0)).addScaledVector(fwd, 0.7);
+      this.camPOV.lookAt(this.camPOV.position.clone().add(fwd).add(new THREE.Vector3(0, -0.1, 0)));
+    }
+    const lerp = Math.min(1, dt / (0.12 * this.motionSlowdown));
+    for (const mate of this.teammates) {
+      if (!mate.hasPose) continue;
+      mate.group.position.lerp(mate.targetPos, lerp);
+      const cur = mate.group.rotation.y, tgt = mate.targetHeading;
+      mate.group.rotation.y = cur + Math.atan2(Math.sin(tgt-cur), Math.cos(tgt-cur)) * lerp;
     }
   }
 
@@ -456,6 +722,13 @@ export class ThreeScene {
     this.coverMesh = new THREE.Mesh(new THREE.PlaneGeometry(size, size), m);
     this.coverMesh.rotation.x = -Math.PI/2; this.coverMesh.position.y = 0.012;
     this.scene.add(this.coverMesh);
+
+    // overlay layers above the coverage
+    for (const [k, y] of [['heatmap', 0.016], ['clusters', 0.02]]) {
+      const old = this._ov[k];
+      if (old) { this.overlays.remove(old.mesh); old.tex.dispose(); disposeTree(old.mesh); }
+      this._ov[k] = this._overlayPlane(N, y, this.overlayOn[k]);
+    }
   }
 
   _maybeApplyTexture(mat, baseName, normalNames, repeatScale=4.0){
@@ -489,15 +762,25 @@ export class ThreeScene {
     }
   }
 
-  // Paint coverage from Sim: unknown=black, free=transparent, obst=no overlay
+  // Paint coverage from Sim: unknown=black, free=transparent, obst=no overlay.
+  // With an occupancy-grid Sim (sim.logOdds) cells are shaded by certainty:
+  // uncertain cells keep a dark veil, likely obstacles get a red tint.
   updateCoverageFromSim(sim){
     if (!this.coverCtx || !sim) return;
     const N = sim.cfg.size, img = this.coverCtx.createImageData(N, N), d = img.data;
     const UNK=-1, FREE=0, OBST=1;
+    const shade = this.shadeCertainty !== false && !!sim.logOdds;
     let k=0;
     for (let y=0; y<N; y++){
       for (let x=0; x<N; x++){
         const v = sim.map[x][y];
+        if (shade){
+          const p = sim.occupancyProb(x,y), c = Math.abs(2*p - 1);
+          if (v===UNK){ d[k++]=5; d[k++]=7; d[k++]=10; d[k++]=Math.round(255*(1 - 0.5*c)); }
+          else if (v===FREE){ d[k++]=5; d[k++]=7; d[k++]=10; d[k++]=Math.round(140*(1 - c)); }
+          else { d[k++]=220; d[k++]=40; d[k++]=40; d[k++]=Math.round(160*c); }
+          continue;
+        }
         if (v===UNK){ d[k++]=5; d[k++]=7; d[k++]=10; d[k++]=255; }
         else if (v===FREE){ d[k++]=0; d[k++]=0; d[k++]=0; d[k++]=0; }
         else { d[k++]=0; d[k++]=0; d[k++]=0; d[k++]=0; }
@@ -514,33 +797,6 @@ export class ThreeScene {
     this.coverCtx.putImageData(img, 0, 0); this.coverTex.needsUpdate = true;
   }
 
-  // ---------------------------------------------------
-  // Build exactly one big room + one divider with one doorway
-  _buildSimpleLayout(N) {
-    const th = this.cell * 0.6;
-    const H  = this.cell * 4.2;
-    const size = N * this.cell;
-    const half = size / 2;
-    // simple wall-material
-    const wallMat = new THREE.MeshStandardMaterial({ color: 0xe7e2d9, roughness: 0.8, metalness: 0.0 });
-    const mk = (w, rot, x, z) => this._box(w, H, th, wallMat, x, H/2, z, rot, 'solids');
-
-    // 1) Perimeter (closed)
-    mk(size, 0,             0, -half + th/2);             // south
-    mk(size, 0,             0, +half - th/2);             // north
-    mk(size, Math.PI/2, -half + th/2,  0);                 // west
-    mk(size, Math.PI/2, +half - th/2,  0);                 // east
-
-    // 2) Divider at X=0, with a 3-cell-wide doorway in the middle
-    const doorCells = 6;
-    const doorW = doorCells * this.cell;
-    const segLen = (size - doorW) / 2;
-    // lower segment (below doorway)
-    mk(segLen, Math.PI/2, 0, -doorW/2 - segLen/2);
-    // upper segment (above doorway)
-    mk(segLen, Math.PI/2, 0, +doorW/2 + segLen/2);
-  }
-  
   _buildHouseInterior(gt){
     const N = gt.length;
     const size = N*this.cell, H=this.cell*4.2;  // higher walls & roof
@@ -640,6 +896,109 @@ function makeCrate(size, self){
   return mesh;
 }
 
+const LIDAR_RAYS = 120;
+// action → (scene, { heading, fov, range, origin }) → { update(p, started),
+// dispose() }, p the share of the action's duration gone by (0 until it starts).
+const SENSOR_EFFECTS = {
+  // a beam sweeping the fan; the points it passes light up, then fade. Each
+  // sweep has its own points and ring, so overlapping sweeps leave each other be.
+  lidar_scan(scene, o) {
+    const cloud = makePointCloud(LIDAR_RAYS), ring = makeScanRing();
+    cloud.frustumCulled = false;
+    scene.sensorLayer.add(cloud, ring);
+    const maxDist = o.range * scene.cell, frac = scene._castLidar(cloud, o.origin, o.heading, o.fov, maxDist);
+    const alphas = cloud.geometry.getAttribute("alpha");
+    const beam = new THREE.Mesh(new THREE.CircleGeometry(maxDist, 8, -0.06, 0.12).rotateX(-Math.PI/2),
+      new THREE.MeshBasicMaterial({ color: 0x35c6ff, transparent: true, opacity: 0, side: THREE.DoubleSide, depthWrite: false }));
+    beam.position.copy(o.origin).setY(1.0);
+    scene.sensorLayer.add(beam);
+    return {
+      update(p, started) {
+        const sweep = Math.min(1, p / 0.7), fade = 1 - Math.max(0, (p - 0.7) / 0.3);
+        for (let i = 0; i < frac.length; i++) alphas.setX(i, started && frac[i] <= sweep ? fade : 0);
+        alphas.needsUpdate = true;
+        beam.visible = started && p < 0.7;
+        beam.material.opacity = 0.35;
+        beam.rotation.y = Math.PI/2 - (o.heading + (sweep - 0.5) * o.fov);
+        ring.visible = started;
+        ring.position.copy(o.origin).setY(0.05);
+        ring.scale.setScalar(0.01 + p * maxDist);
+        ring.material.opacity = 0.7 * (1 - p);
+      },
+      dispose() {
+        for (const obj of [cloud, ring, beam]) { scene.sensorLayer.remove(obj); disposeTree(obj); }
+      }
+    };
+  },
+  // false color in the POV inset, fading in and out. Overlapping snaps (two
+  // robots, back-to-back steps) show the strongest; the last one out clears it.
+  thermal_snap(scene) {
+    const snap = { mix: 0 };
+    const apply = () => {
+      let m = 0;
+      for (const s of scene._thermalSnaps) m = Math.max(m, s.mix);
+      scene._thermal = m;
+    };
+    scene._thermalSnaps.add(snap);
+    return {
+      update(p, started) { if (started) snap.mix = Math.sin(Math.PI * Math.min(1, p * 1.2)) ** 0.5; apply(); },
+      dispose() { scene._thermalSnaps.delete(snap); apply(); }
+    };
+  },
+  // a plume of particles rising and drifting from where the robot sniffed
+  gas_sniff(scene, o) {
+    const n = 160, seeds = new Float32Array(n * 3), pos = new Float32Array(n * 3);
+    for (let i = 0; i < n * 3; i++) seeds[i] = Math.random();
+    const geo = new THREE.BufferGeometry();
+    geo.setAttribute('position', new THREE.BufferAttribute(pos, 3));
+    const pts = new THREE.Points(geo, new THREE.PointsMaterial({
+      color: 0x7dff9c, size: scene.cell * 0.25, map: sparkTexture(), transparent: true, opacity: 0,
+      depthWrite: false, blending: THREE.AdditiveBlending
+    }));
+    pts.position.copy(o.origin);
+    pts.frustumCulled = false;
+    scene.sensorLayer.add(pts);
+    const reach = Math.min(o.range, 4) * scene.cell * 0.5;
+    return {
+      update(p, started) {
+        pts.visible = started;
+        for (let i = 0; i < n; i++) {
+          const a = seeds[3*i] * 2 * Math.PI, t = (p + seeds[3*i + 1]) % 1, r = reach * t * (0.4 + 0.6 * seeds[3*i + 2]);
+          pos[3*i] = Math.cos(a + t) * r;
+          pos[3*i + 1] = 0.3 + t * scene.cell * 1.2;
+          pos[3*i + 2] = Math.sin(a + t) * r;
+        }
+        geo.getAttribute('position').needsUpdate = true;
+        pts.material.opacity = 0.7 * Math.sin(Math.PI * p);
+      },
+      dispose() { scene.sensorLayer.remove(pts); disposeTree(pts); }
+    };
+  },
+  // rings rippling out to the microphone's range
+  audio_probe(scene, o) {
+    const grp = new THREE.Group(), maxR = o.range * scene.cell * 1.5;
+    for (let k = 0; k < 3; k++) {
+      const ring = new THREE.Mesh(new THREE.RingGeometry(0.94, 1, 64).rotateX(-Math.PI/2),
+        new THREE.MeshBasicMaterial({ color: 0xc084fc, transparent: true, opacity: 0, side: THREE.DoubleSide, depthWrite: false }));
+      ring.position.y = 0.6 + 0.15 * k;
+      grp.add(ring);
+    }
+    grp.position.copy(o.origin);
+    scene.sensorLayer.add(grp);
+    return {
+      update(p, started) {
+        grp.visible = started;
+        grp.children.forEach((ring, k) => {
+          const q = Math.min(1, Math.max(0, (p - 0.2 * k) / 0.6));
+          ring.scale.setScalar(0.01 + q * maxR);
+          ring.material.opacity = q > 0 ? 0.6 * (1 - q) : 0;
+        });
+      },
+      dispose() { scene.sensorLayer.remove(grp); disposeTree(grp); }
+    };
+  }
+};
+
 function makePointCloud(maxPoints=2000){
   const g = new THREE.BufferGeometry();
   const pos = new Float32Array(maxPoints*3), alpha = new Float32Array(maxPoints);
@@ -687,11 +1046,15 @@ function makeScanRing(){
   return ring;
 }
 
-function makeFireStack(cell=2.0){
+// one spark texture for every flame (fires are rebuilt as they spread)
+let sparkTex = null;
+const sparkTexture = () => sparkTex ??= new THREE.TextureLoader().load('https://threejs.org/examples/textures/sprites/spark1.png');
+
+// light: false for per-cell flames, which share one makeFireLight per fire
+function makeFireStack(cell=2.0, { light = true, count = 16 } = {}){
   const grp = new THREE.Group();
-  const tex = new THREE.TextureLoader().load('https://threejs.org/examples/textures/sprites/spark1.png');
-  const COUNT = 16;
-  for (let i=0;i<COUNT;i++){
+  const tex = sparkTexture();
+  for (let i=0;i<count;i++){
     const sm = new THREE.SpriteMaterial({ map: tex, color: 0xff8a2b, transparent:true, depthWrite:false, blending:THREE.AdditiveBlending });
     const sp = new THREE.Sprite(sm);
     sp.position.set((Math.random()-0.5)*0.4, 0.1+Math.random()*0.2, (Math.random()-0.5)*0.4);
@@ -713,15 +1076,150 @@ function makeFireStack(cell=2.0){
   );
   glow.rotation.x = -Math.PI/2; glow.position.y = 0.01;
   grp.add(glow);
+  if (light) grp.add(makeFireLight(cell));
+  return grp;
+}
 
-  const pl = new THREE.PointLight(0xff7a00, 2.0, cell*6);
+function makeFireLight(size=2.0){
+  const pl = new THREE.PointLight(0xff7a00, 2.0, size*6);
   pl.position.set(0, 1.0, 0);
   const seed = Math.random()*1000;
   pl.onBeforeRender = function(){
     const t = (performance.now()+seed)*0.004;
     this.intensity = 1.5 + Math.sin(t*3.0)*0.6 + Math.sin(t*7.1)*0.3;
   };
-  grp.add(pl);
+  return pl;
+}
+
+function makeScorch(cell){
+  const m = new THREE.Mesh(
+    new THREE.CircleGeometry(cell*0.5, 16),
+    new THREE.MeshBasicMaterial({ color:0x1a1410, transparent:true, opacity:0.55, depthWrite:false })
+  );
+  m.rotation.x = -Math.PI/2; m.position.y = 0.013;
+  return m;
+}
+
+// one panel per door cell, turned across the doorway
+function makeDoorPanel(cell, cells){
+  const h = cell*2.2, alongX = cells.every(c => c[1] === cells[0][1]) && cells.length > 1;
+  const m = new THREE.Mesh(
+    new THREE.BoxGeometry(alongX ? cell : cell*0.15, h, alongX ? cell*0.15 : cell),
+    new THREE.MeshStandardMaterial({ color:0x8a5a2b, roughness:0.8, metalness:0.05 })
+  );
+  m.castShadow = true; m.receiveShadow = true;
+  m.position.y = h/2;
+  return m;
+}
 
+function makePerson(cell, idx){
+  const grp = new THREE.Group();
+  const body = new THREE.Mesh(
+    new THREE.CylinderGeometry(cell*0.18, cell*0.22, cell*1.2, 12),
+    new THREE.MeshStandardMaterial({ color: [0xd9480f, 0x5f3dc4, 0x2b8a3e][idx % 3], roughness:0.8 })
+  );
+  body.position.y = cell*0.6;
+  const head = new THREE.Mesh(
+    new THREE.SphereGeometry(cell*0.16, 12, 12),
+    new THREE.MeshStandardMaterial({ color:0xe0b48a, roughness:0.7 })
+  );
+  head.position.y = cell*1.38;
+  for (const m of [body, head]) { m.castShadow = true; grp.add(m); }
+  return grp;
+}
+
+// A person lying down; setFound lights it up and shows a beacon ring.
+function makeVictim(cell){
+  const grp = new THREE.Group();
+  const mat = new THREE.MeshStandardMaterial({ color:0x8a7f78, roughness:0.9, emissive:0xec4899, emissiveIntensity:0 });
+  const body = new THREE.Mesh(new THREE.CapsuleGeometry(cell*0.16, cell*0.7, 4, 10), mat);
+  body.rotation.z = Math.PI/2;
+  body.position.y = cell*0.16;
+  const head = new THREE.Mesh(
+    new THREE.SphereGeometry(cell*0.14, 12, 12),
+    new THREE.MeshStandardMaterial({ color:0xc9a27e, roughness:0.8 })
+  );
+  head.position.set(cell*0.52, cell*0.16, 0);
+  for (const m of [body, head]) { m.castShadow = true; grp.add(m); }
+  const ring = new THREE.Mesh(
+    new THREE.RingGeometry(cell*0.45, cell*0.55, 32),
+    new THREE.MeshBasicMaterial({ color:0xec4899, transparent:true, opacity:0.85, side:THREE.DoubleSide })
+  );
+  ring.rotation.x = -Math.PI/2;
+  ring.position.y = 0.02;
+  grp.add(ring);
+  grp.userData.setFound = (on) => { mat.emissiveIntensity = on ? 0.6 : 0; ring.visible = on; };
+  return grp;
+}
+
+function makeDebris(cell){
+  const grp = new THREE.Group();
+  const mat = new THREE.MeshStandardMaterial({ color:0x77736c, roughness:0.95 });
+  for (let i=0;i<4;i++){
+    const s = cell*(0.2 + Math.random()*0.25);
+    const m = new THREE.Mesh(new THREE.BoxGeometry(s*1.6, s, s), mat);
+    m.position.set((Math.random()-0.5)*cell*0.5, s/2, (Math.random()-0.5)*cell*0.5);
+    m.rotation.y = Math.random()*Math.PI;
+    m.castShadow = true;
+    grp.add(m);
+  }
+  return grp;
+}
+
+// Goal marker: a ring on the cell and a cone pointing down at it.
+function makeGoalMarker(cell, color){
+  const grp = new THREE.Group();
+  const mat = new THREE.MeshBasicMaterial({ color, transparent:true, opacity:0.9, side:THREE.DoubleSide });
+  const ring = new THREE.Mesh(new THREE.RingGeometry(cell*0.3, cell*0.42, 32), mat);
+  ring.rotation.x = -Math.PI/2; ring.position.y = 0.03;
+  const cone = new THREE.Mesh(new THREE.ConeGeometry(cell*0.18, cell*0.45, 12), mat.clone());
+  cone.rotation.x = Math.PI; cone.position.y = cell*0.9;
+  grp.add(ring, cone);
+  return grp;
+}
+
+// scores → v ↦ [0,1] over their range (0.5 when they are all equal)
+function scoreRange(vals){
+  const lo = Math.min(...vals), hi = Math.max(...vals);
+  return (v) => hi > lo ? (v - lo) / (hi - lo) : 0.5;
+}
+
+// geometries and materials of a removed dynamic object (textures are shared)
+function disposeTree(obj){
+  obj.traverse(o => { o.geometry?.dispose(); o.material?.dispose(); });
+}
+
+function makeGasCloud(diam=4.0, intensity=1.0){
+  const grp = new THREE.Group();
+  const mat = new THREE.MeshStandardMaterial({
+    color: 0x44ff88, emissive: 0x115522, transparent: true,
+    opacity: 0.12 + 0.18*intensity, depthWrite: false
+  });
+  const puffs = 6;
+  for (let i=0;i<puffs;i++){
+    const a = (i/puffs)*Math.PI*2;
+    const puff = new THREE.Mesh(new THREE.SphereGeometry(diam*0.22, 12, 12), mat);
+    puff.position.set(Math.cos(a)*diam*0.2, 0.6 + (i%2)*0.4, Math.sin(a)*diam*0.2);
+    const base = i*1.7;
+    puff.onBeforeRender = function(){
+      const t = performance.now()*0.0008 + base;
+      this.position.y = 0.6 + Math.sin(t)*0.25 + (base%2)*0.3;
+    };
+    grp.add(puff);
+  }
+  return grp;
+}
+
+function makeHeatGlow(diam=4.0, intensity=1.0){
+  const grp = new THREE.Group();
+  const disc = new THREE.Mesh(
+    new THREE.CircleGeometry(diam*0.5, 32),
+    new THREE.MeshBasicMaterial({ color:0xff3b1f, transparent:true, opacity:0.15 + 0.25*intensity, depthWrite:false })
+  );
+  disc.rotation.x = -Math.PI/2; disc.position.y = 0.015;
+  grp.add(disc);
+  const pl = new THREE.PointLight(0xff4a1a, 1.2*intensity, diam*2);
+  pl.position.set(0, 0.8, 0);
+  grp.add(pl);
   return grp;
 }
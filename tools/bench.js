@@ -0,0 +1,302 @@
+// bench.js (ESM, Node) — headless batch benchmark for Sim policies. No DOM.
+// Sweeps seeds × grid sizes × obstacle probabilities, runs every policy until
+// Sim.done() (cfg.target coverage by default) or cfg.maxSteps and writes
+// per-run + aggregate results (JSON/CSV) with confidence intervals and paired
+// significance tests against a baseline.
+//
+// Usage:
+//   node tools/bench.js --seeds 0-9 --sizes 20,26 --obst 0.08,0.12 \
+//     --policies nf,igRatio,igMinus,cqliteLite,fusion --baseline nf --out bench_out
+//
+// Policy specs: any registered policy (simlib.js POLICIES, e.g. `fusion` with
+// the fusion scan, as in the demo's right panel) or key of `teamPolicies`, or
+// `<name>+fusion` to give an existing policy the fusion scan. --params takes
+// JSON mapping a spec to its params, e.g. '{"igMinus":{"distance":{"weight":2}}}'.
+// --scan plan (default) executes sensing plans (LiDAR-only vs. the best scored
+// composite) and reports energy in joules.
+//
+// --battery J per robot enables return-to-dock recharging (default: none);
+// --motionW / --idleW set the drive and idle power draw.
+// --layout random|simple|bsp|corridors|apartment picks the generated layout
+// (--simpleRoom is the same as --layout simple); --doorWidth and --deadEnds
+// tune the procedural ones.
+// Dynamic world (world.js, off by default): --fireSpread / --fireBurnout are
+// per-cell probabilities per --worldTick seconds, --doorClose / --doorOpen per
+// door, --movers people walking around, --debris the chance of a new blocked
+// cell per tick, --staleAfter s before unobserved mapped cells are forgotten.
+// replans counts cached paths dropped because they became blocked.
+// --victims N hides N victims (or the scenario's); --endOn coverage|victims|targets
+// picks when a run is done (see Sim.done), --searchWeight tunes policies.search.
+// tFirst / tAll are the times of the first and last victim found, found the
+// fraction found.
+// --scenario file.json runs every seed on that scenario's layout (see
+// scenario.js) instead of generated ones; --sizes/--obst are then ignored.
+// --sensorFov is in degrees. --stall N ends a run early once coverage has not
+// grown for N decision rounds (policies can park a robot scanning in place
+// forever); 0 disables it.
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { Sim, POLICIES, policies, teamPolicies, fusionScanS, estimateContext, pickPlan } from '../simlib.js';
+import { meanCI, pairedT, wilcoxon } from './stats.js';
+import { loadFusionData } from '../fusion_data.js';
+import { parseScenario } from '../scenario.js';
+
+const COV_MARK = 0.95;        // time-to-95% coverage is always reported
+const METRICS = ['t95', 'time', 'dist', 'steps', 'energy', 'recharges', 'replans', 'coverage', 'tFirst', 'tAll', 'found'];
+const COMPARED = ['t95', 'time', 'dist', 'steps', 'energy', 'tFirst'];
+const BASELINE_PLAN = [['lidar_scan']];
+
+function parseArgs(argv) {
+  const opts = {
+    seeds: '0-4', sizes: '20', obst: '0.12', policies: 'nf,igRatio,igMinus,cqliteLite,fusion',
+    baseline: 'nf', out: 'bench_out', nRobots: '1', robotSpeed: '1', target: '0.95',
+    maxSteps: '25000', stall: '1000', scan: 'plan', infoRadius: '4', fires: '0', gas: '0', heat: '0',
+    sensorRange: '3', sensorFov: '360', dropout: '0', battery: 'Infinity', motionW: '20', idleW: '2',
+    occupancy: false, falsePos: '0', falseNeg: '0', simpleRoom: false, layout: null, doorWidth: '2', deadEnds: '0.3',
+    worldTick: '2', fireSpread: '0', fireBurnout: '0', doorClose: '0', doorOpen: '0.05', movers: '0', debris: '0',
+    staleAfter: 'Infinity', victims: '0', endOn: 'coverage', searchWeight: '0.5', params: '{}', scenario: null, scored: null, quiet: false
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith('--')) throw new Error(`unexpected argument: ${a}`);
+    const key = a.slice(2);
+    if (!(key in opts)) throw new Error(`unknown option: ${a}`);
+    if (typeof opts[key] === 'boolean') { opts[key] = true; continue; }
+    if (i + 1 >= argv.length) throw new Error(`missing value for ${a}`);
+    opts[key] = argv[++i];
+  }
+  return opts;
+}
+
+// "0-4" → [0,1,2,3,4]; "1,3,5" → [1,3,5]; "0-2,7" → [0,1,2,7]
+function parseList(spec, num = Number) {
+  const out = [];
+  for (const part of String(spec).split(',').map(s => s.trim()).filter(Boolean)) {
+    const m = /^(-?\d+)-(\d+)$/.exec(part);
+    if (m) { for (let k = +m[1]; k <= +m[2]; k++) out.push(k); }
+    else {
+      const v = num(part);
+      if (Number.isNaN(v)) throw new Error(`bad list value: ${part}`);
+      out.push(v);
+    }
+  }
+  return out;
+}
+
+// Composite candidates via fusion_data.js: { bestMs, candidates: [{ index, pred_ms, plan }] }.
+// A missing file falls back to the heuristic scan hint; a malformed one is an error.
+async function loadFusion(path) {
+  if (!existsSync(path)) {
+    console.warn(`[bench] no fusion data (${path} not found); using heuristic scan hint`);
+    return { bestMs: null, candidates: [] };
+  }
+  const data = await loadFusionData((p) => JSON.parse(readFileSync(p, 'utf8')), { scored: path, good: null });
+  return { bestMs: data.bestMs, candidates: data.candidates };
+}
+
+// --scan plan picks each robot's composite from its estimated context (as
+// app.js does); --scan scalar keeps the old 1.0 s vs. fusionScanS scan times.
+// Frontier policies get the fusion data's bestMs for their scan-time hint.
+function resolvePolicy(spec, fusion, scanModel = 'plan', params = {}) {
+  const { bestMs } = fusion;
+  const usePlan = scanModel === 'plan' && fusion.candidates.length > 0;
+  const fusionScan = (sim, i) => {
+    const ctx = estimateContext(sim, i);
+    return usePlan ? pickPlan(fusion.candidates, ctx, sim.cfg.sensorWatts).candidate.plan : fusionScanS(bestMs, ctx.clutter);
+  };
+  const baseScan = scanModel === 'plan' ? () => BASELINE_PLAN : () => 1.0;
+  const [name, mod] = spec.split('+');
+  const pol = policies[name] ?? teamPolicies[name];
+  if (typeof pol !== 'function') throw new Error(`unknown policy: ${spec}`);
+  if (mod && mod !== 'fusion') throw new Error(`unknown policy modifier: ${mod}`);
+  const def = POLICIES[name], p = params[spec] ?? params[name] ?? {};
+  const fused = mod || def?.scan === 'fusion';
+  const withHint = def && !def.pick ? { ...p, scanHint: { bestMs, ...p.scanHint } }
+    : fused && def && 'scanMs' in (def.params ?? {}) ? { scanMs: bestMs, ...p } : p;
+  return { pick: (sim) => pol(sim, withHint), scan: fused ? fusionScan : baseScan };
+}
+
+// Same stepping as app.js stepOnce/runOne, minus the scene.
+export function runEpisode(cfg, spec, fusion, stall = 0, scanModel = 'plan', params = {}) {
+  const sim = new Sim(cfg);
+  const { pick, scan } = resolvePolicy(spec, fusion, scanModel, params);
+  let mark = null, bestCov = sim.coverage(), found = 0, idle = 0, stalled = false;
+  while (!sim.done() && sim.step <= sim.cfg.maxSteps) {
+    const goals = pick(sim);
+    for (let i = 0; i < sim.robots.length; i++) {
+      sim.moveAndScan(i, goals[i] || sim.robots[i], scan(sim, i));
+    }
+    const cov = sim.coverage();
+    if (!mark && cov >= COV_MARK) {
+      mark = { time: sim.time, dist: sim.totalDistance(), steps: sim.step };
+    }
+    const nFound = sim.victimStats().found;
+    if (cov > bestCov || nFound > found) { bestCov = Math.max(bestCov, cov); found = nFound; idle = 0; }
+    else if (stall > 0 && ++idle >= stall) { stalled = true; break; }
+  }
+  const coverage = sim.coverage(), v = sim.victimStats();
+  return {
+    reached: sim.done(),
+    stalled,
+    t95: mark ? mark.time : null,
+    dist95: mark ? mark.dist : null,
+    steps95: mark ? mark.steps : null,
+    time: sim.time,
+    dist: sim.totalDistance(),
+    steps: sim.step,
+    energy: sim.totalEnergy(),
+    recharges: sim.energyStats().recharges,
+    replans: sim.replans.reduce((a, b) => a + b, 0),
+    coverage,
+    tFirst: v.first,
+    tAll: v.all,
+    found: v.rate
+  };
+}
+
+function aggregate(runs, policyNames) {
+  const groups = new Map();
+  for (const r of runs) {
+    const k = `${r.size}|${r.obstacleProb}|${r.policy}`;
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(r);
+  }
+  const out = [];
+  for (const [k, rs] of groups) {
+    const [size, obstacleProb, policy] = k.split('|');
+    const row = { size: +size, obstacleProb: +obstacleProb, policy, n: rs.length,
+      reachedRate: rs.filter(r => r.reached).length / rs.length };
+    for (const m of METRICS) {
+      const vals = rs.map(r => r[m]).filter(v => v != null);
+      row[m] = vals.length ? meanCI(vals) : null;
+    }
+    out.push(row);
+  }
+  const order = (p) => policyNames.indexOf(p);
+  return out.sort((a, b) => a.size - b.size || a.obstacleProb - b.obstacleProb || order(a.policy) - order(b.policy));
+}
+
+// Paired tests vs. the baseline policy; runs are paired by (seed, size, obstacleProb).
+function compare(runs, policyNames, baseline) {
+  const key = (r) => `${r.seed}|${r.size}|${r.obstacleProb}`;
+  const base = new Map(runs.filter(r => r.policy === baseline).map(r => [key(r), r]));
+  const out = [];
+  for (const policy of policyNames) {
+    if (policy === baseline) continue;
+    const row = { policy, baseline };
+    for (const m of COMPARED) {
+      const a = [], b = [];
+      for (const r of runs) {
+        if (r.policy !== policy) continue;
+        const br = base.get(key(r));
+        if (!br || r[m] == null || br[m] == null) continue;
+        a.push(r[m]); b.push(br[m]);
+      }
+      row[m] = { pairs: a.length, pairedT: pairedT(a, b), wilcoxon: wilcoxon(a, b) };
+    }
+    out.push(row);
+  }
+  return out;
+}
+
+function toCSV(rows, cols) {
+  const esc = (v) => {
+    if (v == null || (typeof v === 'number' && !Number.isFinite(v))) return '';
+    const s = typeof v === 'number' ? String(+v.toFixed(6)) : String(v);
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return [cols.join(','), ...rows.map(r => cols.map(c => esc(r[c])).join(','))].join('\n') + '\n';
+}
+
+function flattenAggregate(rows) {
+  return rows.map(r => {
+    const flat = { size: r.size, obstacleProb: r.obstacleProb, policy: r.policy, n: r.n, reachedRate: r.reachedRate };
+    for (const m of METRICS) {
+      flat[`${m}_mean`] = r[m]?.mean; flat[`${m}_lo`] = r[m]?.lo; flat[`${m}_hi`] = r[m]?.hi; flat[`${m}_n`] = r[m]?.n ?? 0;
+    }
+    return flat;
+  });
+}
+
+function flattenComparisons(rows) {
+  const out = [];
+  for (const r of rows) {
+    for (const m of COMPARED) {
+      const c = r[m];
+      out.push({ policy: r.policy, baseline: r.baseline, metric: m, pairs: c.pairs,
+        diff: c.pairedT.diff, lo: c.pairedT.lo, hi: c.pairedT.hi, t: c.pairedT.t, p_t: c.pairedT.p,
+        W: c.wilcoxon.W, z: c.wilcoxon.z, p_wilcoxon: c.wilcoxon.p });
+    }
+  }
+  return out;
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const scenario = opts.scenario ? JSON.parse(readFileSync(opts.scenario, 'utf8')) : null;
+  const seeds = parseList(opts.seeds);
+  const sizes = scenario ? [parseScenario(scenario).size] : parseList(opts.sizes);  // validates the file
+  const obst = scenario ? [0] : parseList(opts.obst);
+  const policyNames = opts.policies.split(',').map(s => s.trim()).filter(Boolean);
+  const scoredPath = opts.scored ?? fileURLToPath(new URL('../scored.json', import.meta.url));
+  const fusion = await loadFusion(scoredPath);
+  if (!['plan', 'scalar'].includes(opts.scan)) throw new Error('--scan must be plan or scalar');
+  const params = JSON.parse(opts.params);
+  for (const p of policyNames) resolvePolicy(p, fusion, opts.scan, params); // fail fast on typos
+  if (!['coverage', 'victims', 'targets'].includes(opts.endOn)) throw new Error('--endOn must be coverage, victims or targets');
+  if (!policyNames.includes(opts.baseline)) throw new Error(`baseline ${opts.baseline} is not in --policies`);
+
+  const runs = [];
+  const total = seeds.length * sizes.length * obst.length * policyNames.length;
+  for (const size of sizes) for (const obstacleProb of obst) for (const seed of seeds) {
+    const cfg = {
+      size, obstacleProb, seed, simpleRoom: opts.simpleRoom, scenario,
+      layout: opts.layout ?? undefined, doorWidth: +opts.doorWidth, deadEnds: +opts.deadEnds,
+      nRobots: +opts.nRobots, robotSpeed: +opts.robotSpeed, infoRadius: +opts.infoRadius,
+      target: +opts.target, maxSteps: +opts.maxSteps,
+      fires: +opts.fires, gasSources: +opts.gas, heatSources: +opts.heat,
+      sensorRange: +opts.sensorRange, sensorFov: +opts.sensorFov * Math.PI / 180, sensorDropout: +opts.dropout,
+      occupancy: opts.occupancy, falsePos: +opts.falsePos, falseNeg: +opts.falseNeg,
+      batteryJ: +opts.battery, motionW: +opts.motionW, idleW: +opts.idleW,
+      worldTick: +opts.worldTick, fireSpread: +opts.fireSpread, fireBurnout: +opts.fireBurnout,
+      doorClose: +opts.doorClose, doorOpen: +opts.doorOpen, movers: +opts.movers, debrisRate: +opts.debris,
+      staleAfter: +opts.staleAfter, victims: +opts.victims, endOn: opts.endOn, searchWeight: +opts.searchWeight
+    };
+    for (const policy of policyNames) {
+      const t0 = Date.now();
+      const res = runEpisode(cfg, policy, fusion, +opts.stall, opts.scan, params);
+      runs.push({ seed, size, obstacleProb, policy, ...res, wallMs: Date.now() - t0 });
+      if (!opts.quiet) {
+        console.log(`[bench] ${runs.length}/${total} size=${size} obst=${obstacleProb} seed=${seed} ${policy}: ` +
+          `cov=${(res.coverage * 100).toFixed(1)}% t95=${res.t95?.toFixed(1) ?? '-'} dist=${res.dist} steps=${res.steps}`);
+      }
+    }
+  }
+
+  const agg = aggregate(runs, policyNames);
+  const cmp = compare(runs, policyNames, opts.baseline);
+  mkdirSync(opts.out, { recursive: true });
+  writeFileSync(join(opts.out, 'results.json'), JSON.stringify({ options: opts, fusion, runs, aggregate: agg, comparisons: cmp }, null, 2));
+  writeFileSync(join(opts.out, 'runs.csv'), toCSV(runs,
+    ['seed', 'size', 'obstacleProb', 'policy', 'reached', 'stalled', 'coverage', 't95', 'dist95', 'steps95', 'time', 'dist', 'steps', 'energy', 'recharges', 'replans', 'found', 'tFirst', 'tAll', 'wallMs']));
+  const flatAgg = flattenAggregate(agg);
+  writeFileSync(join(opts.out, 'aggregate.csv'), toCSV(flatAgg, Object.keys(flatAgg[0] ?? {})));
+  const flatCmp = flattenComparisons(cmp);
+  writeFileSync(join(opts.out, 'comparisons.csv'), toCSV(flatCmp, Object.keys(flatCmp[0] ?? { policy: 0 })));
+
+  for (const r of agg) {
+    const t = r.t95 ? `${r.t95.mean.toFixed(1)} [${r.t95.lo.toFixed(1)}, ${r.t95.hi.toFixed(1)}]` : '-';
+    console.log(`size=${r.size} obst=${r.obstacleProb} ${r.policy.padEnd(16)} n=${r.n} reached=${(r.reachedRate * 100).toFixed(0)}% t95=${t}`);
+  }
+  for (const r of cmp) {
+    const c = r.t95;
+    console.log(`${r.policy} vs ${r.baseline}: Δt95=${c.pairedT.diff?.toFixed(2)} [${c.pairedT.lo?.toFixed(2)}, ${c.pairedT.hi?.toFixed(2)}] ` +
+      `p_t=${c.pairedT.p?.toFixed(4)} p_wilcoxon=${c.wilcoxon.p.toFixed(4)} (pairs=${c.pairs})`);
+  }
+  console.log(`[bench] wrote ${opts.out}/results.json, runs.csv, aggregate.csv, comparisons.csv`);
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((e) => { console.error(`[bench] ${e.message}`); process.exit(1); });
+}
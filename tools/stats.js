@@ -0,0 +1,129 @@
+// stats.js (ESM) — small, dependency-free statistics for the benchmark tools.
+// Exports: mean, sd, meanCI, pairedT, wilcoxon, studentTCdf.
+
+export function mean(xs) {
+  if (!xs.length) return NaN;
+  let s = 0; for (const x of xs) s += x;
+  return s / xs.length;
+}
+
+// sample standard deviation (n-1)
+export function sd(xs) {
+  if (xs.length < 2) return 0;
+  const m = mean(xs);
+  let s = 0; for (const x of xs) s += (x - m) * (x - m);
+  return Math.sqrt(s / (xs.length - 1));
+}
+
+// Two-sided t-based confidence interval for the mean.
+export function meanCI(xs, level = 0.95) {
+  const n = xs.length, m = mean(xs);
+  if (n < 2) return { mean: m, lo: m, hi: m, n };
+  const half = tQuantile(1 - (1 - level) / 2, n - 1) * sd(xs) / Math.sqrt(n);
+  return { mean: m, lo: m - half, hi: m + half, n };
+}
+
+// Paired t-test on a[i] - b[i]. Returns mean difference, its CI and a two-sided p.
+export function pairedT(a, b, level = 0.95) {
+  const d = a.map((x, i) => x - b[i]);
+  const n = d.length, ci = meanCI(d, level);
+  if (n < 2) return { n, diff: ci.mean, lo: ci.lo, hi: ci.hi, t: NaN, p: NaN };
+  const s = sd(d);
+  if (s === 0) return { n, diff: ci.mean, lo: ci.lo, hi: ci.hi, t: ci.mean === 0 ? 0 : Infinity, p: ci.mean === 0 ? 1 : 0 };
+  const t = ci.mean / (s / Math.sqrt(n));
+  const p = 2 * (1 - studentTCdf(Math.abs(t), n - 1));
+  return { n, diff: ci.mean, lo: ci.lo, hi: ci.hi, t, p };
+}
+
+// Wilcoxon signed-rank test (normal approximation with tie correction).
+// Zero differences are dropped, as in the classic Wilcoxon procedure.
+export function wilcoxon(a, b) {
+  const d = a.map((x, i) => x - b[i]).filter(x => x !== 0);
+  const n = d.length;
+  if (n === 0) return { n: 0, W: 0, z: 0, p: 1 };
+  const idx = d.map((x, i) => i).sort((i, j) => Math.abs(d[i]) - Math.abs(d[j]));
+  const rank = new Array(n);
+  let tieSum = 0;
+  for (let i = 0; i < n;) {
+    let j = i;
+    while (j + 1 < n && Math.abs(d[idx[j + 1]]) === Math.abs(d[idx[i]])) j++;
+    const r = (i + j) / 2 + 1, t = j - i + 1;
+    for (let k = i; k <= j; k++) rank[idx[k]] = r;
+    tieSum += t * t * t - t;
+    i = j + 1;
+  }
+  let wPlus = 0;
+  for (let i = 0; i < n; i++) if (d[i] > 0) wPlus += rank[i];
+  const mu = n * (n + 1) / 4;
+  const sigma = Math.sqrt(n * (n + 1) * (2 * n + 1) / 24 - tieSum / 48);
+  if (sigma === 0) return { n, W: wPlus, z: 0, p: 1 };
+  // continuity correction
+  const z = (wPlus - mu - Math.sign(wPlus - mu) * 0.5) / sigma;
+  const p = Math.min(1, 2 * (1 - normalCdf(Math.abs(z))));
+  return { n, W: wPlus, z, p };
+}
+
+export function studentTCdf(t, df) {
+  const x = df / (df + t * t);
+  const tail = 0.5 * incBeta(x, df / 2, 0.5);
+  return t >= 0 ? 1 - tail : tail;
+}
+
+// helpers
+function tQuantile(p, df) {
+  // bisection on the CDF; plenty fast for a handful of CIs
+  let lo = 0, hi = 1e3;
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    if (studentTCdf(mid, df) < p) lo = mid; else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+function normalCdf(z) {
+  // Abramowitz & Stegun 7.1.26
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-z * z / 2);
+  return z >= 0 ? 0.5 * (1 + y) : 0.5 * (1 - y);
+}
+
+function logGamma(x) {
+  const c = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let y = x, tmp = x + 5.5;
+  tmp -= (x + 0.5) * Math.log(tmp);
+  let ser = 1.000000000190015;
+  for (const ci of c) ser += ci / ++y;
+  return -tmp + Math.log(2.5066282746310005 * ser / x);
+}
+
+// regularized incomplete beta I_x(a,b) (Numerical Recipes continued fraction)
+function incBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const bt = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return (x < (a + 1) / (a + b + 2)) ? bt * betaCF(x, a, b) / a : 1 - bt * betaCF(1 - x, b, a) / b;
+}
+
+function betaCF(x, a, b) {
+  const FPMIN = 1e-300;
+  let c = 1, d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < FPMIN) d = FPMIN;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d; if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = 1 + aa / c; if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d; h *= d * c;
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d; if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = 1 + aa / c; if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < 3e-12) break;
+  }
+  return h;
+}
@@ -0,0 +1,203 @@
+// train_predictor.js (ESM, Node) — fits the scan-time predictor (predictor.js)
+// and writes it as JSON for the browser. No DOM, no dependencies.
+//
+// Usage:
+//   node tools/train_predictor.js --scored scored.json --out scan_predictor.json
+//
+// Training rows pair every scored composite with contexts sampled from short
+// Sim runs (estimateContext over the generated layouts, with hazards and noisy
+// occupancy sensing).
+//
+// Labels are SYNTHETIC: no per-context scan times have been measured, and
+// scored.json's pred_ms carry no context. Each action is modelled as slowing
+// with the condition it senses through (ACTION_SLOWDOWN); a composite's label
+// is its pred_ms rescaled by how much longer its groups take in the context
+// (planCost's overlap rule), times log-normal run-to-run spread (--noise).
+// The model JSON records this under `labels`; measured times should replace it.
+//
+// The fit is ridge regression on log(ms / pred_ms): the model predicts how a
+// context stretches a composite's scored time. --lambda auto (the default) picks
+// the ridge weight with the lowest leave-one-composite-out error; that error
+// is also the model's sigma, printed so a new model can be judged before it
+// ships. Features the training plans never vary (e.g. includes_safety: no
+// scored composite has a LiDAR sweep) get no weight and are listed as such.
+import { readFileSync, writeFileSync } from 'node:fs';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { Sim, policies, estimateContext, SENSOR_ACTIONS, PLAN_TIMING, planCost } from '../simlib.js';
+import { validateScored } from '../fusion_data.js';
+import { PLAN_FEATURES, CONTEXT_FEATURES, INTERACTION_FEATURES, planFeatures, featureRow, ScanPredictor } from '../predictor.js';
+
+const LAYOUTS = ['random', 'simple', 'bsp', 'corridors', 'apartment'];
+const STEPS = 150;            // decisions per context-sampling run
+const LAMBDAS = [0.1, 1, 10, 100, 400];   // --lambda auto tries these
+// Label model: an action's extra duration share in a context. LiDAR registers
+// more returns in clutter, the thermal camera re-exposes as heat saturates
+// it, the sniffer dwells until a gas reading settles, the microphone
+// integrates longer over corrupted samples.
+const ACTION_SLOWDOWN = {
+  lidar_scan: (c) => 0.8 * c.clutter,
+  thermal_snap: (c) => 0.6 * c.heat,
+  gas_sniff: (c) => 0.9 * c.gas,
+  audio_probe: (c) => 4 * c.noise
+};
+
+function parseArgs(argv) {
+  const opts = {
+    scored: fileURLToPath(new URL('../scored.json', import.meta.url)),
+    out: fileURLToPath(new URL('../scan_predictor.json', import.meta.url)),
+    seeds: '3', contexts: '40', lambda: 'auto', noise: '0.05', minConfidence: '0.2', seed: '1', quiet: false
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith('--')) throw new Error(`unexpected argument: ${a}`);
+    const key = a.slice(2);
+    if (!(key in opts)) throw new Error(`unknown option: ${a}`);
+    if (typeof opts[key] === 'boolean') { opts[key] = true; continue; }
+    if (i + 1 >= argv.length) throw new Error(`missing value for ${a}`);
+    opts[key] = argv[++i];
+  }
+  return opts;
+}
+
+function mulberry32(seed) {
+  return () => {
+    let t = seed = (seed + 0x6D2B79F5) >>> 0;
+    t = Math.imul(t ^ t >>> 15, t | 1);
+    t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal draw (Box–Muller).
+const gauss = (rand) => Math.sqrt(-2 * Math.log(1 - rand())) * Math.cos(2 * Math.PI * rand());
+
+// Plan duration (ms) with every action slowed as ACTION_SLOWDOWN says.
+function contextMs(plan, ctx) {
+  let t = 0;
+  for (const g of plan) {
+    const ds = g.map(a => SENSOR_ACTIONS[a].ms * (1 + (ACTION_SLOWDOWN[a]?.(ctx) ?? 0)));
+    const mx = Math.max(...ds), sum = ds.reduce((x, y) => x + y, 0);
+    t += mx + PLAN_TIMING.overlap * (sum - mx) + PLAN_TIMING.syncMs;
+  }
+  return t;
+}
+
+// Contexts a robot actually meets: robot 0's estimateContext at every step.
+function sampleContexts(nSeeds) {
+  const out = [];
+  for (const layout of LAYOUTS) for (let seed = 0; seed < nSeeds; seed++) {
+    const sim = new Sim({ size: 24, seed, layout, fires: 2, gasSources: 1, heatSources: 1, sensorRange: 4,
+      occupancy: true, falsePos: 0.03, falseNeg: 0.02, sensorDropout: seed % 2 ? 0.1 : 0 });
+    for (let k = 0; k < STEPS && sim.coverage() < sim.cfg.target; k++) {
+      const g = policies.nf(sim);
+      sim.moveAndScan(0, g[0], [['lidar_scan']]);
+      out.push(estimateContext(sim, 0));
+    }
+  }
+  return out;
+}
+
+// Solve / invert a small dense matrix (Gauss-Jordan with partial pivoting).
+function invert(A) {
+  const n = A.length, M = A.map((r, i) => [...r, ...Array.from({ length: n }, (_, j) => +(i === j))]);
+  for (let c = 0; c < n; c++) {
+    let p = c;
+    for (let r = c + 1; r < n; r++) if (Math.abs(M[r][c]) > Math.abs(M[p][c])) p = r;
+    if (Math.abs(M[p][c]) < 1e-12) throw new Error('singular normal equations; raise --lambda');
+    [M[c], M[p]] = [M[p], M[c]];
+    const d = M[c][c];
+    for (let j = 0; j < 2 * n; j++) M[c][j] /= d;
+    for (let r = 0; r < n; r++) {
+      if (r === c || !M[r][c]) continue;
+      const f = M[r][c];
+      for (let j = 0; j < 2 * n; j++) M[r][j] -= f * M[c][j];
+    }
+  }
+  return M.map(r => r.slice(n));
+}
+
+// rows: [{ f: { feature: value }, y: log ms, off: log pred_ms }] → model JSON
+// for ScanPredictor (fits y − off).
+function fitRidge(rows, features, lambda) {
+  const n = rows.length, p = features.length;
+  const mean = features.map(f => rows.reduce((s, r) => s + r.f[f], 0) / n);
+  const std = features.map((f, k) => Math.sqrt(rows.reduce((s, r) => s + (r.f[f] - mean[k]) ** 2, 0) / n) || 1);
+  const X = rows.map(r => [1, ...features.map((f, k) => (r.f[f] - mean[k]) / std[k])]);
+  const A = Array.from({ length: p + 1 }, (_, a) => Array.from({ length: p + 1 }, (_, b) =>
+    X.reduce((s, x) => s + x[a] * x[b], 0) + (a === b && a > 0 ? lambda : 0)));
+  const C = invert(A);
+  const Xty = Array.from({ length: p + 1 }, (_, a) => X.reduce((s, x, i) => s + x[a] * (rows[i].y - rows[i].off), 0));
+  const beta = C.map(r => r.reduce((s, v, b) => s + v * Xty[b], 0));
+  const scale = std.map((s, k) => Math.max(s, 0.25 * Math.abs(mean[k]), 0.1));
+  return { kind: 'ridge-log', features, mean, std, scale, bias: beta[0], weights: beta.slice(1), lambda, n };
+}
+
+// Leave one composite out: how well an unseen plan is predicted at lambda.
+function leaveOneOut(rows, scored, features, lambda, predictor) {
+  const errs = [], logErrs = [];
+  for (const s of scored) {
+    const held = predictor(fitRidge(rows.filter(r => r.index !== s.index), features, lambda));
+    for (const r of rows.filter(r => r.index === s.index)) {
+      const ms = held.predict(s.plan.groups, r.ctx, s.pred_ms).ms;
+      errs.push(Math.abs(ms - Math.exp(r.y)) / Math.exp(r.y));
+      logErrs.push((Math.log(ms) - r.y) ** 2);
+    }
+  }
+  return { errs, sigma: Math.sqrt(logErrs.reduce((a, b) => a + b, 0) / logErrs.length) };
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const scored = validateScored(JSON.parse(readFileSync(opts.scored, 'utf8')), opts.scored);
+  const contexts = sampleContexts(+opts.seeds);
+  const rand = mulberry32(+opts.seed >>> 0);
+  const rows = [];
+  for (const s of scored) {
+    const pf = planFeatures(s.plan.groups), baseMs = planCost(s.plan.groups).ms;
+    for (let k = 0; k < +opts.contexts; k++) {
+      const ctx = contexts[Math.floor(rand() * contexts.length)];
+      const ms = s.pred_ms * contextMs(s.plan.groups, ctx) / baseMs * Math.exp(+opts.noise * gauss(rand));
+      rows.push({ index: s.index, ctx, f: featureRow(pf, ctx), y: Math.log(ms), off: Math.log(s.pred_ms) });
+    }
+  }
+  const features = [...PLAN_FEATURES, ...CONTEXT_FEATURES, ...Object.keys(INTERACTION_FEATURES)];
+  const uninformed = features.filter(f => rows.every(r => r.f[f] === rows[0].f[f]));
+  // what the confidence measures novelty against
+  const composites = scored.map(s => { const pf = planFeatures(s.plan.groups); return features.map(f => pf[f] ?? 0); });
+  const contextRange = Object.fromEntries(CONTEXT_FEATURES.map(c => {
+    const v = contexts.map(x => x[c]);
+    return [c, [Math.min(...v), Math.max(...v)]];
+  }));
+  const predictor = (fit) => new ScanPredictor({ ...fit, offset: 'pred_ms', sigma: 0, composites, contextRange });
+  const tried = (opts.lambda === 'auto' ? LAMBDAS : [+opts.lambda])
+    .map(lambda => ({ lambda, ...leaveOneOut(rows, scored, features, lambda, predictor) }));
+  const best = tried.reduce((a, b) => (b.sigma < a.sigma ? b : a));
+  const model = { ...fitRidge(rows, features, best.lambda), offset: 'pred_ms', sigma: best.sigma, composites, contextRange };
+  const fit = new ScanPredictor(model);
+  const trainErr = rows.map(r => {
+    const s = scored.find(s => s.index === r.index);
+    return Math.abs(fit.predict(s.plan.groups, r.ctx, s.pred_ms).ms - Math.exp(r.y)) / Math.exp(r.y);
+  });
+  const mape = (e) => (100 * e.reduce((a, b) => a + b, 0) / e.length).toFixed(1);
+  const out = {
+    version: 1, ...model, minConfidence: +opts.minConfidence,
+    labels: {
+      source: 'synthetic: scored pred_ms × per-action context slowdown (not measured scan times)',
+      slowdown: Object.fromEntries(Object.entries(ACTION_SLOWDOWN).map(([a, fn]) => [a, fn.toString()])),
+      noise: +opts.noise
+    },
+    uninformed,
+    trainedOn: { scored: opts.scored.split(/[\\/]/).pop(), composites: scored.length, contexts: contexts.length, rows: rows.length },
+    error: { trainMAPE: +mape(trainErr), leaveOneOutMAPE: +mape(best.errs) }
+  };
+  writeFileSync(opts.out, JSON.stringify(out, null, 2) + '\n');
+  if (!opts.quiet) {
+    console.log(`[train] ${scored.length} composites × ${opts.contexts} contexts (${contexts.length} sampled), lambda ${best.lambda}: ` +
+      `train MAPE ${mape(trainErr)}%, leave-one-composite-out MAPE ${mape(best.errs)}% → ${opts.out}`);
+    if (uninformed.length) console.log(`[train] constant in the training data, no weight: ${uninformed.join(', ')}`);
+  }
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  try { main(); } catch (e) { console.error(`[train] ${e.message}`); process.exit(1); }
+}
@@ -0,0 +1,217 @@
+// world.js (ESM) — no DOM. Time-varying ground truth for Sim: spreading
+// fires, doors that close and reopen, people walking around, falling debris
+// and mapped cells that go stale. Exports: World, worldEnabled.
+//
+// The world advances in fixed ticks of cfg.worldTick seconds of sim time and
+// writes every change through Sim._setGt, so distance fields and cached paths
+// notice. It draws from its own seeded stream (not Sim._rng): enabling it
+// leaves the robots' sensor noise unchanged, and both A/B clones see the same
+// events at the same times unless a robot is in the way.
+const FREE = 0, OBST = 1;
+const MOVE_P = 0.7;     // chance a person takes a step per tick
+
+// Any dynamic option set?
+export function worldEnabled(cfg) {
+  return cfg.fireSpread > 0 || cfg.fireBurnout > 0 || cfg.doorClose > 0 || cfg.movers > 0 ||
+    cfg.debrisRate > 0 || Number.isFinite(cfg.staleAfter);
+}
+
+export class World {
+  constructor(sim) {
+    if (!sim) return;   // clone()
+    const N = this.N = sim.cfg.size;
+    this.seed = (sim.cfg.seed ^ 0x5eed1e55) >>> 0;
+    this.t = sim.time;
+    this.version = 0;
+    // the layout before anything moved, spread or fell (scenario export)
+    this.initial = { gt: sim.gt.map(col => col.slice()), hazards: sim.hazards.map(h => ({ ...h })) };
+    this.burning = new Map();   // cell id → fire hazard id
+    this.burnt = new Set();     // burnt-out cells (passable, never reignite)
+    for (const h of sim.hazards) {
+      if (h.kind !== 'fire') continue;
+      for (let dx = -h.r; dx <= h.r; dx++) for (let dy = -h.r; dy <= h.r; dy++) {
+        const x = h.x + dx, y = h.y + dy;
+        if (dx*dx + dy*dy <= h.r*h.r && x >= 0 && y >= 0 && x < N && y < N) {
+          this.burning.set(y * N + x, h.id);
+          if (sim.cfg.fireBurnout > 0) sim._transient.add(y * N + x);
+        }
+      }
+    }
+    this.doors = doorGroups(sim.layout?.doors ?? [], N).map(cells => ({ cells, open: true }));
+    if (sim.cfg.doorOpen > 0) for (const [x, y] of sim.layout?.doors ?? []) sim._transient.add(y * N + x);
+    this.debris = [];
+    this.movers = [];
+    for (let k = 0, tries = 0; k < sim.cfg.movers && tries < 500; tries++) {
+      const x = Math.floor(this._rand() * N), y = Math.floor(this._rand() * N);
+      if (sim.gt[x][y] !== FREE || this._nearRobot(sim, x, y, 3) || this._isDoor(x, y)) continue;
+      this._block(sim, x, y);
+      this.movers.push({ kind: 'person', x, y });
+      k++;
+    }
+  }
+  clone() {
+    const w = new World(null);
+    Object.assign(w, this);
+    w.burning = new Map(this.burning);
+    w.burnt = new Set(this.burnt);
+    w.doors = this.doors.map(d => ({ cells: d.cells, open: d.open }));
+    w.debris = this.debris.map(d => d.slice());
+    w.movers = this.movers.map(m => ({ ...m }));
+    return w;
+  }
+  // mulberry32 on a plain number so clones continue the same stream
+  _rand() {
+    let t = this.seed = (this.seed + 0x6D2B79F5) >>> 0;
+    t = Math.imul(t ^ t >>> 15, t | 1);
+    t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  }
+  _nearRobot(sim, x, y, d = 0) {
+    return sim.robots.some(([rx, ry]) => Math.abs(rx - x) <= d && Math.abs(ry - y) <= d) ||
+      sim.docks.some(([dx, dy]) => dx === x && dy === y);
+  }
+  // Fire, a shut door or a person: the robots can tell these from walls, so
+  // the map forgets them once unobserved for a while (cfg.transientAfter)
+  // unless they can never clear (fire without burn-out, doors that stay shut).
+  _block(sim, x, y, transient = true) {
+    sim._setGt(x, y, OBST);
+    if (transient) sim._transient.add(y * sim.cfg.size + x);
+  }
+  _isDoor(x, y) { return this.doors.some(d => d.cells.some(c => c[0] === x && c[1] === y)); }
+  // Run every tick up to sim time.
+  advance(sim) {
+    const dt = sim.cfg.worldTick;
+    let changed = false;
+    while (this.t + dt <= sim.time) {
+      this.t += dt;
+      changed = this._tick(sim) || changed;
+    }
+    if (changed) this.version++;
+    return changed;
+  }
+  _tick(sim) {
+    const c = sim.cfg, N = c.size;
+    let changed = false;
+    // fire: each burning cell may burn out, and ignites free 4-neighbours
+    if (this.burning.size && (c.fireSpread > 0 || c.fireBurnout > 0)) {
+      const ignite = [];
+      for (const [id, h] of this.burning) {
+        const x = id % N, y = (id - x) / N;
+        for (const [nx, ny] of sim._neighbors4(x, y)) {
+          const nid = ny * N + nx;
+          if (sim.gt[nx][ny] !== FREE || this.burnt.has(nid) || this._nearRobot(sim, nx, ny)) continue;
+          if (this._rand() < c.fireSpread) ignite.push([nid, h]);
+        }
+        if (this._rand() < c.fireBurnout) {
+          this.burning.delete(id); this.burnt.add(id);
+          sim._setGt(x, y, FREE);
+          changed = true;
+        }
+      }
+      for (const [nid, h] of ignite) {
+        const x = nid % N, y = (nid - x) / N;
+        if (this.burning.has(nid) || sim.gt[x][y] !== FREE) continue;
+        this.burning.set(nid, h);
+        this._block(sim, x, y, c.fireBurnout > 0);
+        changed = true;
+      }
+      if (changed) this._fireExtents(sim);
+    }
+    // doors: closed ones are walls until they reopen; never on a robot or person
+    for (const d of this.doors) {
+      const p = d.open ? c.doorClose : c.doorOpen;
+      if (!(p > 0) || this._rand() >= p) continue;
+      if (d.open && d.cells.some(([x, y]) => sim.gt[x][y] !== FREE || this._nearRobot(sim, x, y))) continue;
+      d.open = !d.open;
+      for (const [x, y] of d.cells) d.open ? sim._setGt(x, y, FREE) : this._block(sim, x, y, c.doorOpen > 0);
+      changed = true;
+    }
+    // people: random walk over free cells
+    for (const m of this.movers) {
+      if (this._rand() >= MOVE_P) continue;
+      const opts = sim._neighbors4(m.x, m.y).filter(([x, y]) =>
+        sim.gt[x][y] === FREE && !this._nearRobot(sim, x, y) && !this._isDoor(x, y));
+      if (!opts.length) continue;
+      const [x, y] = opts[Math.floor(this._rand() * opts.length)];
+      sim._setGt(m.x, m.y, FREE); this._block(sim, x, y);
+      m.x = x; m.y = y;
+      changed = true;
+    }
+    // debris: a free cell (not a door, not next to a robot) gets blocked for good
+    if (c.debrisRate > 0 && this._rand() < c.debrisRate) {
+      const x = Math.floor(this._rand() * N), y = Math.floor(this._rand() * N);
+      if (sim.gt[x][y] === FREE && !this._nearRobot(sim, x, y, 1) && !this._isDoor(x, y)) {
+        sim._setGt(x, y, OBST);
+        this.debris.push([x, y]);
+        changed = true;
+      }
+    }
+    // stale knowledge: obstacles that can go away are forgotten after
+    // transientAfter s unobserved, any mapped cell after staleAfter s
+    for (const id of sim._transient) {
+      const x = id % N, y = (id - x) / N;
+      if (sim.map[x][y] === OBST && sim.time - sim._seenAt[id] > c.transientAfter) sim._forget(x, y);
+    }
+    if (Number.isFinite(c.staleAfter)) {
+      for (let x = 0; x < N; x++) for (let y = 0; y < N; y++) {
+        if (sim.map[x][y] === -1 || sim.time - sim._seenAt[y * N + x] <= c.staleAfter) continue;
+        if (sim.robots.some(([rx, ry]) => rx === x && ry === y)) continue;
+        sim._forget(x, y);
+      }
+    }
+    return changed;
+  }
+  // Fire hazards follow their cells: r covers the farthest burning cell from
+  // the source; a fire with no cells left is out.
+  _fireExtents(sim) {
+    const N = sim.cfg.size, far = new Map();
+    for (const [id, hid] of this.burning) {
+      const h = sim.hazards[hid], x = id % N, y = (id - x) / N;
+      far.set(hid, Math.max(far.get(hid) ?? 0, Math.hypot(x - h.x, y - h.y)));
+    }
+    for (const h of sim.hazards) {
+      if (h.kind !== 'fire') continue;
+      if (far.has(h.id)) { h.r = Math.ceil(far.get(h.id)); h.out = false; }
+      else h.out = true;
+    }
+  }
+  // Plain data for the scene and the metrics panel.
+  snapshot() {
+    const N = this.N;
+    const cell = (id) => [id % N, Math.floor(id / N)];
+    return {
+      version: this.version,
+      burning: [...this.burning].map(([id, h]) => [...cell(id), h]),
+      burnt: [...this.burnt].map(cell),
+      doors: this.doors.map(d => ({ cells: d.cells, open: d.open })),
+      movers: this.movers.map(m => ({ ...m })),
+      debris: this.debris.map(d => d.slice())
+    };
+  }
+  stats() {
+    return {
+      burning: this.burning.size, burnt: this.burnt.size,
+      doorsClosed: this.doors.filter(d => !d.open).length, doors: this.doors.length,
+      movers: this.movers.length, debris: this.debris.length
+    };
+  }
+}
+
+// 4-connected runs of door cells → one door each.
+function doorGroups(cells, N) {
+  const ids = new Set(cells.map(([x, y]) => y * N + x)), out = [];
+  for (const start of ids) {
+    const group = [], stack = [start];
+    ids.delete(start);
+    while (stack.length) {
+      const id = stack.pop(), x = id % N, y = (id - x) / N;
+      group.push([x, y]);
+      for (const nid of [id + 1, id - 1, id + N, id - N]) {
+        if (!ids.has(nid) || Math.abs((nid % N) - x) > 1) continue;
+        ids.delete(nid); stack.push(nid);
+      }
+    }
+    out.push(group);
+  }
+  return out;
+}